@@ -16,14 +16,79 @@ let sessionFolders = {}; // sessionId -> folderId
 let api = null;
 let containerElement = null;
 let expandedFolders = new Set();
+let activeFolderFilter = null; // Home panel filter: null = "All"
+let homeFilterRecursive = true; // Home panel filter includes sessions in sub-folders
+let homeExpandedFolders = new Set(); // Expanded folders in the home panel tree
+let recentFolderIds = []; // Most recently used move targets, newest first
+let smartFolders = []; // Rule-based virtual folders
+let tags = []; // [{ id, name, color }] labels a session can have any number of
+let sessionTags = {}; // sessionId -> [tagId]
+let activeTagFilter = []; // Home panel: tag IDs the session list is filtered by
+let tagFilterMode = 'any'; // Home panel: 'any' (OR) or 'all' (AND) of the active tags
+let autoFileRules = []; // Auto-filing rules for sessions without a folder, in priority order
+let openAllSettings = null; // Last choices in the "Open all sessions" dialog (see DEFAULT_OPEN_ALL_SETTINGS)
+let sortSettings = null; // Global tree sort: { mode, foldersFirst } (see DEFAULT_SORT_SETTINGS)
+let folderSorts = {}; // folderId -> { mode, foldersFirst } for its contents, inherited by sub-folders without their own
+let sessionOrder = {}; // sessionId -> position among the sessions of its folder, for manual sorting
+let sessionUsage = {}; // sessionId -> { lastUsedAt, connectCount }, for the usage sort modes
+let connectionWatcher = null; // Cleanup for the host's session connection watcher
+let openAllRun = 0; // Bumped to stop a staggered "Open all" that is still running
+let missingSessions = {}; // sessionId -> time it was first seen missing from the session list
+let sessionWatcher = null; // Cleanup for the session change watcher
+let activeSessionId = null; // Session focused in SimplyTerm, highlighted in the tree
+let revealedFolderIds = new Set(); // Folders opened to show the active session; display only, not saved
+let activeSessionWatcher = null; // Cleanup for the active session watcher
+let sessionMenuItems = []; // Session context menu items this plugin registered with the host
+let undoStack = []; // [{ label, snapshot }] oldest first
+let redoStack = [];
+let historySuspended = 0; // > 0 while a grouped operation records a single entry
+let renderBatchDepth = 0; // > 0 while a batch of changes defers view renders
+const pendingRenders = new Set(); // Renders requested during the batch, run once at its end
+let backupIndex = []; // [{ slot, createdAt, reason, folderCount, sessionCount, fingerprint }] newest first
+let backupQueue = Promise.resolve();
+let treeIndex = null; // Cached lookups for the tree (see getTreeIndex)
+const ruleRegExps = new Map(); // Compiled rule patterns (see getRuleRegExp), dropped with treeIndex
+let treeRows = []; // Flattened rows of the last sidebar render (see buildTreeRows)
+let treeScroller = null; // Element the sidebar tree scrolls in (null = the window)
+let treeScrollWatched = false;
+let treeScrollFrame = null;
+const renderedRowHtml = new WeakMap(); // Row element -> markup it was created from
+let focusedTreeKey = null; // Sidebar tree row that takes Tab focus (roving tabindex)
+const treeTypeAhead = { text: '', at: 0 }; // Letters typed on the sidebar tree to jump to a row
+let contextMenuOpener = null; // Element focused when the open context menu was shown
+let searchQuery = ''; // Sidebar filter text, trimmed
+let searchHosts = false; // Sidebar filter also matches host fields
+let searchView = null; // What the sidebar filter shows while rendering (see getSearchView)
+let selectedSessionIds = new Set(); // Sessions selected in the sidebar tree
+let selectionAnchorId = null; // Last plainly or Ctrl-clicked session, start of Shift-click ranges
+let eventListeners = new Map(); // Public API subscribers: event type ('*' = all) -> Set of handlers
+
+const MAX_RECENT_FOLDERS = 5;
+const MAX_HISTORY = 50;
+const MAX_BACKUPS = 10;
+const BACKUP_INDEX_FILE = 'backups.json';
+const OPEN_ALL_CONFIRM_THRESHOLD = 10; // Ask again before opening more sessions than this at once
+const DEFAULT_OPEN_ALL_SETTINGS = { layout: 'tabs', recursive: true, staggerMs: 500 };
+const MAX_OPEN_ALL_STAGGER = 10000;
+const ORPHAN_GRACE_PERIOD = 7 * 24 * 60 * 60 * 1000; // Keep mappings of vanished sessions this long
+
+// Ways to sort the sidebar tree, set globally and per folder. 'count' orders folders by the
+// sessions they hold (sub-folders included); sessions fall back to their names under it.
+const SORT_MODES = [
+  { value: 'manual', label: 'Manual' },
+  { value: 'name', label: 'Name' },
+  { value: 'recent', label: 'Most recently used' },
+  { value: 'connections', label: 'Most connected' },
+  { value: 'count', label: 'Session count' },
+];
+const DEFAULT_SORT_SETTINGS = { mode: 'manual', foldersFirst: true };
+const NAME_COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }); // Natural order: web-2 before web-10
 
 /**
  * Escape HTML to prevent XSS
  */
 function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
 /**
@@ -33,497 +98,7105 @@ function escapeAttr(str) {
   return String(str).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/'/g, '&#39;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
+// Version of the on-disk document format. Storage files are written as
+// { schemaVersion, data }; files without the envelope are version 0.
+// Version 2 keeps all plugin data in one snapshot (STATE_FILE); versions 0-1
+// used one file per kind of data (LEGACY_FILES).
+const SCHEMA_VERSION = 2;
+
+const STATE_FILE = 'folders-state.json';
+const STATE_TMP_FILE = 'folders-state.json.tmp';
+
+const LEGACY_FILES = {
+  folders: 'folders.json',
+  sessionFolders: 'session-folders.json',
+  expandedFolders: 'expanded-folders.json',
+  recentFolderIds: 'recent-folders.json',
+  smartFolders: 'smart-folders.json',
+  autoFileRules: 'autofile-rules.json',
+};
+
+// Delay used to coalesce rapid changes into a single write
+const PERSIST_DELAY = 150;
+// Session usage changes on every focus and connect, so it is kept in memory and written
+// at most this often (or with the next regular save)
+const USAGE_PERSIST_DELAY = 30000;
+
+// Other SimplyTerm windows announce their saves on this channel. The state file is also
+// checked every SYNC_POLL_INTERVAL without the channel, and every SYNC_FALLBACK_POLL_INTERVAL
+// with it, for windows the channel does not reach
+const SYNC_CHANNEL_NAME = 'simplyterm-folders-sync';
+const SYNC_POLL_INTERVAL = 5000;
+const SYNC_FALLBACK_POLL_INTERVAL = 60000;
+
+// State shared between windows and merged when another window saved. Expanded folders and
+// recent move targets stay per window.
+const SYNCED_KEYS = [
+  'folders', 'sessionFolders', 'smartFolders', 'tags', 'sessionTags',
+  'autoFileRules', 'openAllSettings', 'missingSessions', 'teamLayout',
+  'sortSettings', 'folderSorts', 'sessionOrder', 'sessionUsage',
+];
+
+// Shared team layout: folders defined in a JSON/YAML file, layered under personal folders.
+// Their IDs carry SHARED_FOLDER_PREFIX; they are never saved with the personal state.
+const SHARED_FOLDER_PREFIX = 'shared:';
+const TEAM_LAYOUT_CACHE_FILE = 'team-layout.json'; // Last layout that loaded, used until the source can be read
+const TEAM_LAYOUT_POLL_INTERVAL = 60000; // Check the layout file for changes this often without a host file watch
+
+const DEFAULT_FOLDER_COLOR = '#6c7086';
+
+// Connection defaults a folder can set for the sessions inside it (and in its sub-folders).
+// A session's own value for the same field always wins.
+const FOLDER_DEFAULT_FIELDS = [
+  { key: 'username', label: 'Username', type: 'text' },
+  { key: 'identityFile', label: 'Identity file', type: 'text', placeholder: '~/.ssh/id_ed25519' },
+  { key: 'port', label: 'Port', type: 'port' },
+  { key: 'jumpHost', label: 'Jump host', type: 'text', placeholder: 'user@bastion:22' },
+  { key: 'env', label: 'Environment variables', type: 'env' },
+  { key: 'startupCommand', label: 'Startup command', type: 'text' },
+  { key: 'terminalProfile', label: 'Terminal profile', type: 'text' },
+];
+
+// Per-file migrations: MIGRATIONS[file][n] upgrades data from version n to n + 1.
+// Files without an entry for a step are unchanged by it.
+const MIGRATIONS = {
+  'folders.json': [
+    // 0 -> 1: early builds could omit parentId/order
+    (data) => (Array.isArray(data)
+      ? data.map((f, i) => ({ ...f, parentId: f.parentId || null, order: typeof f.order === 'number' ? f.order : i }))
+      : data),
+  ],
+};
+
+// Problems found while loading storage, reported once after init
+let storageIssues = [];
+let instanceId = null; // Identifies this window's saves
+let syncBase = null; // { revision, writer, data } as last read from or written to storage: the base for merges
+let syncChannel = null;
+let syncPending = false; // Another window announced a save on syncChannel that has not been read yet
+let syncTimer = null;
+let teamLayout = null; // { source } from the plugin settings, or null without a shared team layout
+let teamLayoutStatus = null; // { loadedAt, folderCount, issues, error } of the last load
+let teamLayoutHash = null; // Hash of the layout file content currently applied
+let teamLayoutWatcher = null; // Cleanup for the layout file watch
+// Files never overwritten during this run: damaged ones that could not be quarantined,
+// and ones written by a newer schema version
+const protectedFiles = new Set();
+
+// Write queue: pending coalesced write and the chain of in-flight writes
+let stateRevision = 0;
+let persistTimer = null;
+let usageTimer = null; // Pending write of session usage
+let persistWaiters = [];
+let writeQueue = Promise.resolve();
+
 /**
- * Load folders from plugin storage
+ * Copy the raw contents of a damaged file aside so the next save cannot destroy it
  */
-async function loadFolders() {
+async function quarantineFile(file, content, reason) {
+  const copy = `corrupt-${Date.now()}-${file}`;
   try {
-    const content = await api.storage.read('folders.json');
-    folders = JSON.parse(content);
+    await api.storage.write(copy, content);
+    storageIssues.push(`${file} ${reason}; original kept as ${copy}`);
   } catch (e) {
-    folders = [];
+    console.error(`[Folders] Failed to quarantine ${file}:`, e);
+    protectedFiles.add(file);
+    storageIssues.push(`${file} ${reason}; it will not be overwritten until the plugin restarts`);
   }
 }
 
 /**
- * Save folders to plugin storage
+ * Upgrade stored data from an older schema version
  */
-async function saveFolders() {
-  try {
-    await api.storage.write('folders.json', JSON.stringify(folders, null, 2));
-  } catch (e) {
-    console.error('[Folders] Failed to save folders:', e);
+function migrateDocument(file, data, version) {
+  const steps = MIGRATIONS[file] || [];
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    if (steps[v]) data = steps[v](data);
   }
+  return data;
 }
 
 /**
- * Load session-folder mappings
+ * Read, migrate and validate a storage document.
+ * Returns null when the file does not exist or could not be recovered. Files from a newer
+ * schema version are not loaded and are protected from being overwritten.
+ * With quarantine off, unreadable files are ignored instead of being copied aside.
  */
-async function loadSessionFolders() {
+async function readDocument(file, validate, { quarantine = true } = {}) {
+  let content;
   try {
-    const content = await api.storage.read('session-folders.json');
-    sessionFolders = JSON.parse(content);
+    content = await api.storage.read(file);
   } catch (e) {
-    sessionFolders = {};
+    return null; // Not written yet
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(content);
+  } catch (e) {
+    if (quarantine) await quarantineFile(file, content, 'was unreadable');
+    return null;
+  }
+
+  let version = 0;
+  let data = doc;
+  if (doc && typeof doc === 'object' && !Array.isArray(doc) && typeof doc.schemaVersion === 'number' && 'data' in doc) {
+    version = doc.schemaVersion;
+    data = doc.data;
+  }
+
+  // Loading newer data would downgrade it on the next save: leave the file alone instead
+  if (version > SCHEMA_VERSION) {
+    if (!protectedFiles.has(file)) {
+      protectedFiles.add(file);
+      console.warn(`[Folders] ${file} has schema version ${version}, newer than ${SCHEMA_VERSION}; not loading it`);
+      api.showNotification(`${file} was saved by a newer version of the Folders plugin. `
+        + 'Update the plugin: until then this data is not loaded, and changes to it are not saved.', 'warning');
+    }
+    return null;
+  }
+
+  try {
+    data = migrateDocument(file, data, version);
+  } catch (e) {
+    console.error(`[Folders] Failed to migrate ${file}:`, e);
+    if (quarantine) await quarantineFile(file, content, 'could not be migrated');
+    return null;
+  }
+
+  if (validate) {
+    const result = validate(data);
+    if (result.issues.length > 0) {
+      storageIssues.push(`${file}: ${result.issues.join('; ')}`);
+    }
+    data = result.data;
   }
+
+  return data;
 }
 
 /**
- * Save session-folder mappings
+ * Validate loaded folders: drop malformed entries and duplicate IDs, fix invalid colors,
+ * and move folders with a missing parent or a parent cycle to the root
  */
-async function saveSessionFolders() {
-  try {
-    await api.storage.write('session-folders.json', JSON.stringify(sessionFolders, null, 2));
-  } catch (e) {
-    console.error('[Folders] Failed to save session-folders:', e);
+function validateFolders(data) {
+  const issues = [];
+  if (!Array.isArray(data)) {
+    return { data: [], issues: ['folder list was not an array'] };
+  }
+
+  const result = [];
+  const ids = new Set();
+  for (const entry of data) {
+    if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string' || !entry.id) {
+      issues.push('dropped a malformed folder');
+      continue;
+    }
+    if (ids.has(entry.id)) {
+      issues.push(`dropped duplicate folder ${entry.id}`);
+      continue;
+    }
+    ids.add(entry.id);
+
+    const folder = {
+      ...entry,
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name : 'Untitled',
+      color: isValidHexColor(entry.color) ? entry.color : DEFAULT_FOLDER_COLOR,
+      parentId: typeof entry.parentId === 'string' && entry.parentId ? entry.parentId : null,
+      order: typeof entry.order === 'number' && isFinite(entry.order) ? entry.order : result.length,
+    };
+    if (entry.color !== undefined && entry.color !== folder.color) issues.push(`reset invalid color of "${folder.name}"`);
+    if (entry.defaults !== undefined) {
+      const defaults = sanitizeFolderDefaults(entry.defaults);
+      if (defaults) folder.defaults = defaults;
+      else delete folder.defaults;
+    }
+    result.push(folder);
+  }
+
+  for (const folder of result) {
+    if (folder.parentId && !ids.has(folder.parentId)) {
+      issues.push(`moved "${folder.name}" to the root (missing parent)`);
+      folder.parentId = null;
+    }
+  }
+
+  // Break parent cycles: walk up from each folder and cut the link that closes a loop
+  const byId = new Map(result.map(f => [f.id, f]));
+  for (const folder of result) {
+    const seen = new Set([folder.id]);
+    let current = folder;
+    while (current.parentId) {
+      if (seen.has(current.parentId)) {
+        issues.push(`moved "${current.name}" to the root (circular parent)`);
+        current.parentId = null;
+        break;
+      }
+      seen.add(current.parentId);
+      current = byId.get(current.parentId);
+    }
   }
+
+  return { data: result, issues };
 }
 
 /**
- * Load expanded folder state from plugin storage
+ * Validate session-folder mappings against a folder list
  */
-async function loadExpandedFolders() {
-  try {
-    const content = await api.storage.read('expanded-folders.json');
-    const ids = JSON.parse(content);
-    expandedFolders = new Set(ids);
-  } catch (e) {
-    // First run - will expand all by default
+function validateSessionFolders(data, folderList) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, issues: ['session mappings were not an object'] };
+  }
+
+  const folderIds = new Set(folderList.map(f => f.id));
+  const result = {};
+  let dropped = 0;
+  for (const [sessionId, folderId] of Object.entries(data)) {
+    // Shared folders are not known until the team layout loads, so their mappings are kept
+    if (typeof folderId === 'string' && (folderIds.has(folderId) || folderId.startsWith(SHARED_FOLDER_PREFIX))) {
+      result[sessionId] = folderId;
+    } else {
+      dropped++;
+    }
   }
+
+  return { data: result, issues: dropped > 0 ? [`dropped ${dropped} mapping(s) to missing folders`] : [] };
 }
 
 /**
- * Save expanded folder state to plugin storage
+ * Validate a list of string IDs
  */
-async function saveExpandedFolders() {
-  try {
-    await api.storage.write('expanded-folders.json', JSON.stringify([...expandedFolders]));
-  } catch (e) {
-    console.error('[Folders] Failed to save expanded state:', e);
+function validateIdList(data) {
+  if (!Array.isArray(data)) {
+    return { data: [], issues: ['ID list was not an array'] };
   }
+  const result = data.filter(id => typeof id === 'string');
+  return { data: result, issues: result.length < data.length ? ['dropped invalid IDs'] : [] };
 }
 
 /**
- * Create a new folder
+ * Keep only known, well-formed folder connection defaults.
+ * Returns null when nothing is set.
  */
-async function createFolder(name, color = null, parentId = null) {
-  const id = `folder-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+function sanitizeFolderDefaults(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  const result = {};
+  for (const field of FOLDER_DEFAULT_FIELDS) {
+    const value = data[field.key];
+    if (field.type === 'port') {
+      const port = Number(value);
+      if (value !== null && value !== '' && Number.isInteger(port) && port >= 1 && port <= 65535) result.port = port;
+    } else if (field.type === 'env') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) continue;
+      const env = {};
+      for (const [name, envValue] of Object.entries(value)) {
+        if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && typeof envValue === 'string') env[name] = envValue;
+      }
+      if (Object.keys(env).length > 0) result.env = env;
+    } else if (typeof value === 'string' && value.trim()) {
+      result[field.key] = value.trim();
+    }
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
 
-  const folder = {
-    id,
-    name,
-    color: color || '#6c7086',
-    parentId,
-    order: folders.filter(f => f.parentId === parentId).length,
-  };
+/**
+ * Validate tag definitions
+ */
+function validateTags(data) {
+  if (!Array.isArray(data)) {
+    return { data: [], issues: ['tag list was not an array'] };
+  }
+  const ids = new Set();
+  const result = [];
+  for (const tag of data) {
+    if (!tag || typeof tag.id !== 'string' || !tag.id || ids.has(tag.id)) continue;
+    ids.add(tag.id);
+    result.push({
+      id: tag.id,
+      name: typeof tag.name === 'string' && tag.name.trim() ? tag.name : 'Untitled',
+      color: isValidHexColor(tag.color) ? tag.color : DEFAULT_FOLDER_COLOR,
+    });
+  }
+  return { data: result, issues: result.length < data.length ? ['dropped malformed tags'] : [] };
+}
 
-  folders.push(folder);
-  expandedFolders.add(id);
-  await saveFolders();
-  renderList();
-  window.dispatchEvent(new CustomEvent('simplyterm-folders-changed'));
+/**
+ * Validate session -> tag IDs, dropping unknown tags and empty lists
+ */
+function validateSessionTags(data, tagList) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, issues: ['session tags were not an object'] };
+  }
+  const tagIds = new Set(tagList.map(t => t.id));
+  const result = {};
+  let dropped = false;
+  for (const [sessionId, ids] of Object.entries(data)) {
+    const valid = Array.isArray(ids) ? [...new Set(ids.filter(id => tagIds.has(id)))] : [];
+    if (!Array.isArray(ids) || valid.length < ids.length) dropped = true;
+    if (valid.length > 0) result[sessionId] = valid;
+  }
+  return { data: result, issues: dropped ? ['dropped tags that no longer exist'] : [] };
+}
 
-  return folder;
+/**
+ * Validate a map of ID -> timestamp
+ */
+function validateTimestampMap(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, issues: ['timestamp map was not an object'] };
+  }
+  const result = {};
+  for (const [id, time] of Object.entries(data)) {
+    if (typeof time === 'number' && isFinite(time)) result[id] = time;
+  }
+  return { data: result, issues: Object.keys(result).length < Object.keys(data).length ? ['dropped invalid timestamps'] : [] };
 }
 
 /**
- * Update a folder (only allowed fields)
+ * Validate smart folder definitions
  */
-async function updateFolder(id, updates) {
-  const folder = folders.find(f => f.id === id);
-  if (!folder) return null;
+function validateSmartFolders(data) {
+  if (!Array.isArray(data)) {
+    return { data: [], issues: ['smart folder list was not an array'] };
+  }
+  const issues = [];
+  const ids = new Set();
+  const result = [];
+  for (const entry of data) {
+    if (!entry || typeof entry.id !== 'string' || ids.has(entry.id) || !Array.isArray(entry.rules)) {
+      issues.push('dropped a malformed smart folder');
+      continue;
+    }
+    ids.add(entry.id);
+    result.push({
+      ...entry,
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name : 'Untitled',
+      color: isValidHexColor(entry.color) ? entry.color : DEFAULT_FOLDER_COLOR,
+      match: entry.match === 'any' ? 'any' : 'all',
+      rules: entry.rules.filter(rule => rule && typeof rule.field === 'string' && typeof rule.operator === 'string'),
+    });
+  }
+  return { data: result, issues };
+}
 
-  if (updates.name !== undefined) folder.name = updates.name;
-  if (updates.color !== undefined) folder.color = updates.color;
-  if (updates.parentId !== undefined) {
-    // Prevent circular references
-    if (updates.parentId && (updates.parentId === id || getDescendantFolderIds(id).includes(updates.parentId))) {
-      console.warn('[Folders] Cannot set parent: would create circular reference');
-      return null;
+/**
+ * Validate auto-filing rules (rules pointing at deleted folders are kept but never match)
+ */
+function validateAutoFileRules(data) {
+  if (!Array.isArray(data)) {
+    return { data: [], issues: ['auto-filing rule list was not an array'] };
+  }
+  const result = data.filter(rule => rule && typeof rule.field === 'string'
+    && typeof rule.operator === 'string' && typeof rule.folderId === 'string');
+  return { data: result, issues: result.length < data.length ? ['dropped malformed auto-filing rules'] : [] };
+}
+
+/**
+ * Validate the "Open all sessions" settings, filling in defaults
+ */
+function validateOpenAllSettings(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: { ...DEFAULT_OPEN_ALL_SETTINGS }, issues: ['open-all settings were not an object'] };
+  }
+  const stagger = Number(data.staggerMs);
+  return {
+    data: {
+      layout: data.layout === 'split' ? 'split' : 'tabs',
+      recursive: data.recursive !== false,
+      staggerMs: isFinite(stagger) ? Math.max(0, Math.min(MAX_OPEN_ALL_STAGGER, Math.round(stagger))) : DEFAULT_OPEN_ALL_SETTINGS.staggerMs,
+    },
+    issues: [],
+  };
+}
+
+/**
+ * Validate sort settings ({ mode, foldersFirst }), filling in defaults
+ */
+function validateSortSettings(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: { ...DEFAULT_SORT_SETTINGS }, issues: ['sort settings were not an object'] };
+  }
+  const known = SORT_MODES.some(m => m.value === data.mode);
+  return {
+    data: { mode: known ? data.mode : DEFAULT_SORT_SETTINGS.mode, foldersFirst: data.foldersFirst !== false },
+    issues: known ? [] : ['reset an unknown sort mode'],
+  };
+}
+
+/**
+ * Validate per-folder sort settings, dropping those of missing folders
+ */
+function validateFolderSorts(data, folderList) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, issues: ['folder sort settings were not an object'] };
+  }
+  const folderIds = new Set(folderList.map(f => f.id));
+  const result = {};
+  let dropped = 0;
+  for (const [folderId, settings] of Object.entries(data)) {
+    const validated = validateSortSettings(settings);
+    // Shared folders are not known until the team layout loads, so their settings are kept
+    if ((folderIds.has(folderId) || folderId.startsWith(SHARED_FOLDER_PREFIX)) && validated.issues.length === 0) {
+      result[folderId] = validated.data;
+    } else {
+      dropped++;
     }
-    folder.parentId = updates.parentId;
   }
-  if (updates.order !== undefined) folder.order = updates.order;
+  return { data: result, issues: dropped > 0 ? [`dropped ${dropped} folder sort setting(s)`] : [] };
+}
 
-  await saveFolders();
-  renderList();
-  window.dispatchEvent(new CustomEvent('simplyterm-folders-changed'));
+/**
+ * Validate manual session positions (sessionId -> integer)
+ */
+function validateSessionOrder(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, issues: ['session order was not an object'] };
+  }
+  const result = {};
+  for (const [id, position] of Object.entries(data)) {
+    if (Number.isInteger(position)) result[id] = position;
+  }
+  return { data: result, issues: Object.keys(result).length < Object.keys(data).length ? ['dropped invalid session positions'] : [] };
+}
 
-  return folder;
+/**
+ * Validate session usage statistics (sessionId -> { lastUsedAt, connectCount })
+ */
+function validateSessionUsage(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, issues: ['session usage was not an object'] };
+  }
+  const result = {};
+  for (const [id, usage] of Object.entries(data)) {
+    if (!usage || typeof usage !== 'object') continue;
+    const lastUsedAt = Number(usage.lastUsedAt);
+    const connectCount = Number(usage.connectCount);
+    result[id] = {
+      lastUsedAt: isFinite(lastUsedAt) && lastUsedAt > 0 ? lastUsedAt : 0,
+      connectCount: Number.isInteger(connectCount) && connectCount > 0 ? connectCount : 0,
+    };
+  }
+  return { data: result, issues: Object.keys(result).length < Object.keys(data).length ? ['dropped invalid session usage'] : [] };
 }
 
 /**
- * Get all descendant folder IDs (recursive)
+ * Validate the team layout setting: { source } or null
  */
-function getDescendantFolderIds(folderId) {
-  const ids = [];
-  const children = folders.filter(f => f.parentId === folderId);
-  for (const child of children) {
-    ids.push(child.id);
-    ids.push(...getDescendantFolderIds(child.id));
+function validateTeamLayout(data) {
+  if (data === null) return { data: null, issues: [] };
+  if (!data || typeof data !== 'object' || typeof data.source !== 'string' || !data.source.trim()) {
+    return { data: null, issues: ['dropped an invalid team layout setting'] };
   }
-  return ids;
+  return { data: { source: data.source.trim() }, issues: [] };
 }
 
 /**
- * Delete a folder and all its descendants
+ * Validate a full state snapshot. Missing parts fall back to empty values.
  */
-async function deleteFolder(id) {
-  // Get all descendant folder IDs
-  const allFolderIds = [id, ...getDescendantFolderIds(id)];
+function validateState(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: null, issues: ['state was not an object'] };
+  }
 
-  // Move sessions from all deleted folders to root
-  for (const [sessionId, folderId] of Object.entries(sessionFolders)) {
-    if (allFolderIds.includes(folderId)) {
-      delete sessionFolders[sessionId];
+  const issues = [];
+  function part(key, validate, fallback, ...args) {
+    if (data[key] === undefined) return fallback;
+    const result = validate(data[key], ...args);
+    issues.push(...result.issues);
+    return result.data;
+  }
+
+  const state = { revision: typeof data.revision === 'number' ? data.revision : 0 };
+  state.folders = part('folders', validateFolders, []);
+  state.sessionFolders = part('sessionFolders', validateSessionFolders, {}, state.folders);
+  state.expandedFolders = part('expandedFolders', validateIdList, null);
+  state.recentFolderIds = part('recentFolderIds', validateIdList, []);
+  state.smartFolders = part('smartFolders', validateSmartFolders, []);
+  state.tags = part('tags', validateTags, []);
+  state.sessionTags = part('sessionTags', validateSessionTags, {}, state.tags);
+  state.autoFileRules = part('autoFileRules', validateAutoFileRules, []);
+  state.openAllSettings = part('openAllSettings', validateOpenAllSettings, { ...DEFAULT_OPEN_ALL_SETTINGS });
+  state.missingSessions = part('missingSessions', validateTimestampMap, {});
+  state.teamLayout = part('teamLayout', validateTeamLayout, null);
+  state.sortSettings = part('sortSettings', validateSortSettings, { ...DEFAULT_SORT_SETTINGS });
+  state.folderSorts = part('folderSorts', validateFolderSorts, {}, state.folders);
+  state.sessionOrder = part('sessionOrder', validateSessionOrder, {});
+  state.sessionUsage = part('sessionUsage', validateSessionUsage, {});
+
+  return { data: state, issues };
+}
+
+/**
+ * Tell the user when loading had to repair or quarantine data
+ */
+function reportStorageIssues() {
+  if (storageIssues.length === 0) return;
+  console.warn('[Folders] Recovered from damaged storage:', storageIssues);
+  api.showNotification(`Folder data was damaged and has been recovered: ${storageIssues.join('. ')}`, 'warning');
+  storageIssues = [];
+}
+
+/**
+ * Assemble a state snapshot from the per-file layout used before schema version 2.
+ * Returns null when none of the legacy files exist.
+ */
+async function loadLegacyState() {
+  const raw = {};
+  let found = false;
+  for (const [key, file] of Object.entries(LEGACY_FILES)) {
+    const data = await readDocument(file);
+    if (data !== null) {
+      raw[key] = data;
+      found = true;
     }
   }
-  await saveSessionFolders();
+  if (!found) return null;
 
-  // Remove all folders (the target and its descendants)
-  folders = folders.filter(f => !allFolderIds.includes(f.id));
-  await saveFolders();
-  renderList();
-  window.dispatchEvent(new CustomEvent('simplyterm-folders-changed'));
+  const result = validateState(raw);
+  if (result.issues.length > 0) {
+    storageIssues.push(`legacy files: ${result.issues.join('; ')}`);
+  }
+  return result.data;
 }
 
 /**
- * Move session to folder
+ * Remove per-file storage once its contents live in the state snapshot
  */
-async function moveSessionToFolder(sessionId, folderId) {
-  if (folderId) {
-    sessionFolders[sessionId] = folderId;
-  } else {
-    delete sessionFolders[sessionId];
+async function removeLegacyFiles() {
+  if (typeof api.storage.delete !== 'function') return;
+  for (const file of Object.values(LEGACY_FILES)) {
+    if (protectedFiles.has(file)) continue;
+    try {
+      await api.storage.delete(file);
+    } catch (e) {
+      // Already gone
+    }
   }
-  await saveSessionFolders();
-  renderList();
-  window.dispatchEvent(new CustomEvent('simplyterm-folders-changed'));
 }
 
 /**
- * Get folder for a session
+ * Load all plugin data. Prefers the newest valid snapshot between the state file
+ * and a temp file left behind by an interrupted save, then falls back to legacy files.
  */
-function getSessionFolder(sessionId) {
-  return sessionFolders[sessionId] || null;
+async function loadState() {
+  const candidates = [
+    await readDocument(STATE_FILE),
+    await readDocument(STATE_TMP_FILE, null, { quarantine: false }),
+  ].filter(Boolean);
+  candidates.sort((a, b) => (b.revision || 0) - (a.revision || 0));
+
+  let state = null;
+  let writer = null;
+  for (const candidate of candidates) {
+    const result = validateState(candidate);
+    if (result.data) {
+      if (result.issues.length > 0) storageIssues.push(`${STATE_FILE}: ${result.issues.join('; ')}`);
+      state = result.data;
+      writer = candidate.writer || null;
+      break;
+    }
+  }
+
+  let migrated = false;
+  if (!state) {
+    state = await loadLegacyState();
+    migrated = !!state;
+  }
+
+  state = state || {};
+  stateRevision = state.revision || 0;
+  folders = state.folders || [];
+  sessionFolders = state.sessionFolders || {};
+  // No saved expanded state (first run) - will expand all by default
+  if (state.expandedFolders) expandedFolders = new Set(state.expandedFolders);
+  recentFolderIds = state.recentFolderIds || [];
+  smartFolders = state.smartFolders || [];
+  tags = state.tags || [];
+  sessionTags = state.sessionTags || {};
+  autoFileRules = state.autoFileRules || [];
+  openAllSettings = state.openAllSettings || { ...DEFAULT_OPEN_ALL_SETTINGS };
+  missingSessions = state.missingSessions || {};
+  teamLayout = state.teamLayout || null;
+  sortSettings = state.sortSettings || { ...DEFAULT_SORT_SETTINGS };
+  folderSorts = state.folderSorts || {};
+  sessionOrder = state.sessionOrder || {};
+  sessionUsage = state.sessionUsage || {};
+  invalidateTreeIndex();
+  syncBase = { revision: stateRevision, writer, data: getSyncData() };
+
+  if (migrated) {
+    saveState();
+    if (await flushState()) await removeLegacyFiles();
+  }
 }
 
 /**
- * Get all folders
+ * Capture all persisted plugin data as one consistent snapshot
  */
-function getFolders() {
-  return folders;
+function getStateSnapshot() {
+  return {
+    revision: stateRevision,
+    savedAt: Date.now(),
+    folders: getPersonalFolders(),
+    sessionFolders,
+    expandedFolders: [...expandedFolders],
+    recentFolderIds,
+    smartFolders,
+    tags,
+    sessionTags,
+    autoFileRules,
+    openAllSettings,
+    missingSessions,
+    teamLayout,
+    sortSettings,
+    folderSorts,
+    sessionOrder,
+    sessionUsage,
+    writer: instanceId,
+  };
 }
 
 /**
- * Toggle folder expanded state
+ * Copy the parts of a snapshot that are shared between windows
  */
-function toggleFolder(folderId) {
-  if (expandedFolders.has(folderId)) {
-    expandedFolders.delete(folderId);
-  } else {
-    expandedFolders.add(folderId);
+function getSyncData(snapshot = getStateSnapshot()) {
+  const data = {};
+  SYNCED_KEYS.forEach(key => { data[key] = snapshot[key]; });
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Write a serialized snapshot via a temp file so a crash mid-write never leaves a
+ * truncated state file. Resolves true on success; never rejects.
+ */
+async function writeState(storage, content) {
+  if (protectedFiles.has(STATE_FILE)) {
+    console.error(`[Folders] Not saving: ${STATE_FILE} holds unrecovered data`);
+    return false;
+  }
+
+  try {
+    await storage.write(STATE_TMP_FILE, content);
+    if (typeof storage.rename === 'function') {
+      await storage.rename(STATE_TMP_FILE, STATE_FILE);
+    } else {
+      // No rename: the temp file stays valid until the main write completes
+      await storage.write(STATE_FILE, content);
+      if (typeof storage.delete === 'function') await storage.delete(STATE_TMP_FILE);
+    }
+    return true;
+  } catch (e) {
+    console.error('[Folders] Failed to save state:', e);
+    return false;
   }
-  saveExpandedFolders();
-  renderList();
 }
 
 /**
- * Render folder item (recursive)
+ * Queue a write of the full state. Changes made within PERSIST_DELAY share one write,
+ * and writes never overlap. Resolves true once the data is on disk.
  */
-function renderFolderItem(folder, sessions, depth = 0) {
-  const isExpanded = expandedFolders.has(folder.id);
-  const folderSessions = sessions.filter(s => sessionFolders[s.id] === folder.id);
-  const childFolders = folders.filter(f => f.parentId === folder.id);
-  const hasContent = folderSessions.length > 0 || childFolders.length > 0;
+function saveState() {
+  invalidateTreeIndex();
+  return new Promise((resolve) => {
+    persistWaiters.push(resolve);
+    if (!persistTimer) {
+      persistTimer = setTimeout(runPersist, PERSIST_DELAY);
+    }
+  });
+}
 
-  let html = `
-    <div class="folder-item" data-folder-id="${escapeAttr(folder.id)}" style="padding-left: ${depth * 12}px">
-      <div class="folder-header flex items-center gap-2 px-2 py-1.5 rounded hover:bg-white/5 cursor-pointer group"
-           data-folder-id="${escapeAttr(folder.id)}">
-        <span class="expand-icon text-text-muted transition-transform ${isExpanded ? 'rotate-90' : ''}" style="width: 12px">
-          ${hasContent ? `<svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <polyline points="9 18 15 12 9 6"></polyline>
-          </svg>` : ''}
-        </span>
-        <span class="folder-icon" style="color: ${escapeAttr(folder.color)}">
-          <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" stroke="none">
-            <path d="M3 7v13h18V7H3zm0-2h7l2 2h9v2H3V5z"/>
-          </svg>
-        </span>
-        <span class="flex-1 text-xs font-medium text-text truncate">${escapeHtml(folder.name)}</span>
-        <span class="folder-count text-[10px] text-text-muted">${folderSessions.length}</span>
-        <button class="delete-folder-btn opacity-0 group-hover:opacity-100 p-1 rounded hover:bg-error/20 text-text-muted hover:text-error transition-all"
-                data-folder-id="${escapeAttr(folder.id)}" title="Delete folder">
-          <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <line x1="18" y1="6" x2="6" y2="18"></line>
-            <line x1="6" y1="6" x2="18" y2="18"></line>
-          </svg>
-        </button>
-      </div>
-  `;
+/**
+ * Start the pending coalesced write
+ */
+function runPersist() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  clearTimeout(usageTimer); // The full state written here includes the usage
+  usageTimer = null;
+  const waiters = persistWaiters;
+  persistWaiters = [];
 
-  if (isExpanded && hasContent) {
-    html += `<div class="folder-content">`;
-
-    // Render child folders
-    for (const child of childFolders.sort((a, b) => a.order - b.order)) {
-      html += renderFolderItem(child, sessions, depth + 1);
-    }
-
-    // Render sessions in this folder
-    for (const session of folderSessions) {
-      html += `
-        <div class="session-in-folder flex items-center gap-2 px-2 py-1.5 rounded"
-             style="padding-left: ${(depth + 1) * 12 + 8}px"
-             data-session-id="${escapeAttr(session.id)}">
-          <span class="text-accent">
-            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect>
-              <line x1="8" y1="21" x2="16" y2="21"></line>
-              <line x1="12" y1="17" x2="12" y2="21"></line>
-            </svg>
-          </span>
-          <span class="text-xs text-text truncate">${escapeHtml(session.name || session.id)}</span>
-        </div>
-      `;
+  // Serialize now so the write reflects the state at this moment, even if it has to
+  // wait for an earlier write or the plugin is cleaned up in the meantime
+  let serialized = serializeState();
+  const owner = api;
+  const storage = api.storage;
+
+  writeQueue = writeQueue.then(async () => {
+    // Another window may have saved since we last synced: merge its changes in first
+    // so this write does not overwrite them. With the channel, only an announced save needs the read
+    if (api === owner && (!syncChannel || syncPending)) {
+      syncPending = false;
+      const external = await readExternalState();
+      if (external && api === owner) {
+        applyExternalState(external);
+        serialized = serializeState();
+      }
     }
 
-    html += `</div>`;
-  }
+    const ok = await writeState(storage, serialized.content);
+    if (ok && api === owner) {
+      syncBase = { revision: serialized.revision, writer: instanceId, data: serialized.data };
+      if (syncChannel) syncChannel.postMessage({ type: 'state-saved', revision: serialized.revision, writer: instanceId });
+    }
+    return ok;
+  }).then((ok) => {
+    waiters.forEach(resolve => resolve(ok));
+    return ok;
+  });
+}
+
+/**
+ * Serialize the state for a write under the next revision
+ */
+function serializeState() {
+  stateRevision++;
+  const snapshot = getStateSnapshot();
+  return {
+    revision: snapshot.revision,
+    content: JSON.stringify({ schemaVersion: SCHEMA_VERSION, data: snapshot }, null, 2),
+    data: getSyncData(snapshot),
+  };
+}
 
-  html += `</div>`;
-  return html;
+/**
+ * Write any pending changes now and wait for all queued writes
+ */
+function flushState() {
+  if (persistTimer || usageTimer) runPersist();
+  return writeQueue;
 }
 
 /**
- * Render the folders tree
+ * Read the state file if another window saved it since this window last synced, or null
  */
-function renderList() {
-  if (!containerElement) return;
+async function readExternalState() {
+  if (!syncBase) return null;
+  const data = await readDocument(STATE_FILE, null, { quarantine: false });
+  if (!data || typeof data !== 'object') return null;
+  if (data.revision === syncBase.revision && (data.writer || null) === syncBase.writer) return null;
+  return data;
+}
 
-  const listEl = containerElement.querySelector('.folders-list');
-  if (!listEl) return;
+/**
+ * Three-way merge of shared state: changes made in only one window are combined,
+ * and where both windows changed the same item the saved (other window's) version wins.
+ * Returns the merged data and a description of each conflict.
+ */
+function mergeSyncData(base, local, remote) {
+  const conflicts = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const sessionNames = new Map(api.getAllSessions().map(s => [s.id, s.name || s.id]));
+  const sessionLabel = (id) => `"${sessionNames.get(id) || id}"`;
+  const folderName = (id) => {
+    const folder = [...(remote.folders || []), ...(local.folders || []), ...folders].find(f => f.id === id);
+    return folder ? folder.name : id;
+  };
 
-  // Get all sessions from the app
-  const sessions = api.getAllSessions();
+  function pick(baseValue, localValue, remoteValue, describe) {
+    if (same(localValue, remoteValue) || same(remoteValue, baseValue)) return localValue;
+    if (same(localValue, baseValue)) return remoteValue;
+    if (describe) conflicts.push(describe());
+    return remoteValue;
+  }
+
+  function mergeMap(baseMap, localMap, remoteMap, describe) {
+    const merged = {};
+    const keys = new Set([...Object.keys(baseMap || {}), ...Object.keys(localMap || {}), ...Object.keys(remoteMap || {})]);
+    for (const key of keys) {
+      const value = pick((baseMap || {})[key], (localMap || {})[key], (remoteMap || {})[key], describe && (() => describe(key)));
+      if (value !== undefined) merged[key] = value;
+    }
+    return merged;
+  }
+
+  // Lists of items with IDs: keep the saved order and append items only this window has
+  function mergeList(baseList, localList, remoteList, describe) {
+    const byId = list => Object.fromEntries((list || []).map(item => [item.id, item]));
+    const [baseItems, localItems, remoteItems] = [byId(baseList), byId(localList), byId(remoteList)];
+    const merged = mergeMap(baseItems, localItems, remoteItems,
+      id => describe(remoteItems[id] || localItems[id] || baseItems[id]));
+    const order = [...(remoteList || []), ...(localList || [])].map(item => item.id);
+    return order.filter((id, i) => order.indexOf(id) === i && merged[id]).map(id => merged[id]);
+  }
+
+  // Usage adds up: keep the latest use and the connections made in either window
+  function mergeUsage(baseMap, localMap, remoteMap) {
+    const merged = { ...(remoteMap || {}) };
+    for (const [id, usage] of Object.entries(localMap || {})) {
+      const baseUsage = (baseMap || {})[id] || { lastUsedAt: 0, connectCount: 0 };
+      const remoteUsage = merged[id] || { lastUsedAt: 0, connectCount: 0 };
+      merged[id] = {
+        lastUsedAt: Math.max(usage.lastUsedAt, remoteUsage.lastUsedAt),
+        connectCount: remoteUsage.connectCount + Math.max(0, usage.connectCount - baseUsage.connectCount),
+      };
+    }
+    return merged;
+  }
+
+  const data = {
+    folders: mergeList(base.folders, local.folders, remote.folders, f => `folder "${f.name}"`),
+    sessionFolders: mergeMap(base.sessionFolders, local.sessionFolders, remote.sessionFolders,
+      id => `the folder of session ${sessionLabel(id)}`),
+    smartFolders: mergeList(base.smartFolders, local.smartFolders, remote.smartFolders, f => `smart folder "${f.name}"`),
+    tags: mergeList(base.tags, local.tags, remote.tags, t => `tag "${t.name}"`),
+    sessionTags: mergeMap(base.sessionTags, local.sessionTags, remote.sessionTags,
+      id => `the tags of session ${sessionLabel(id)}`),
+    autoFileRules: pick(base.autoFileRules, local.autoFileRules, remote.autoFileRules, () => 'the auto-filing rules'),
+    openAllSettings: pick(base.openAllSettings, local.openAllSettings, remote.openAllSettings),
+    teamLayout: pick(base.teamLayout, local.teamLayout, remote.teamLayout, () => 'the team layout setting'),
+    missingSessions: mergeMap(base.missingSessions, local.missingSessions, remote.missingSessions),
+    sortSettings: pick(base.sortSettings, local.sortSettings, remote.sortSettings, () => 'the sort order'),
+    folderSorts: mergeMap(base.folderSorts, local.folderSorts, remote.folderSorts,
+      id => `the sort order of folder "${folderName(id)}"`),
+    sessionOrder: mergeMap(base.sessionOrder, local.sessionOrder, remote.sessionOrder),
+    sessionUsage: mergeUsage(base.sessionUsage, local.sessionUsage, remote.sessionUsage),
+  };
+  return { data, conflicts };
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal data compares equal whatever its key order
+ */
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v));
+}
 
-  // Get root folders (no parent)
-  const rootFolders = folders.filter(f => !f.parentId).sort((a, b) => a.order - b.order);
+/**
+ * Merge state saved by another window into this one and refresh the views.
+ * Returns true when this window has changes the saved state does not include yet.
+ */
+function applyExternalState(external) {
+  const result = validateState(external);
+  if (!result.data) return false;
+  const undoableBefore = canonicalJson(getHistorySnapshot());
+
+  const remote = getSyncData(result.data);
+  const local = getSyncData();
+  const { data, conflicts } = mergeSyncData(syncBase.data, local, remote);
+  // Validate again: a merge can leave references to items the other window deleted
+  const merged = validateState(data).data;
+  const sessionNames = new Map(api.getAllSessions().map(s => [s.id, s.name || s.id]));
+  for (const [sessionId, folderId] of Object.entries(data.sessionFolders)) {
+    // Moved here into a folder the other window deleted
+    if (!merged.sessionFolders[sessionId] && remote.sessionFolders[sessionId] !== folderId) {
+      conflicts.push(`session "${sessionNames.get(sessionId) || sessionId}" (its folder was deleted in another window)`);
+    }
+  }
+
+  folders = [...merged.folders, ...getSharedFolders()];
+  sessionFolders = merged.sessionFolders;
+  smartFolders = merged.smartFolders;
+  tags = merged.tags;
+  sessionTags = merged.sessionTags;
+  autoFileRules = merged.autoFileRules;
+  openAllSettings = merged.openAllSettings;
+  const layoutChanged = JSON.stringify(merged.teamLayout) !== JSON.stringify(teamLayout);
+  teamLayout = merged.teamLayout;
+  missingSessions = merged.missingSessions;
+  sortSettings = merged.sortSettings;
+  folderSorts = merged.folderSorts;
+  sessionOrder = merged.sessionOrder;
+  sessionUsage = merged.sessionUsage;
+  recentFolderIds = recentFolderIds.filter(id => folders.some(f => f.id === id));
+  stateRevision = Math.max(stateRevision, result.data.revision);
+  syncBase = { revision: result.data.revision, writer: external.writer || null, data: remote };
+
+  // Undoing to a snapshot from before the merge would silently drop the other window's
+  // changes, so the history goes when they touched undoable state
+  if (canonicalJson(getHistorySnapshot()) !== undoableBefore) {
+    undoStack = [];
+    redoStack = [];
+  }
+
+  invalidateTreeIndex();
+  renderList();
+  notifyFoldersChanged({ type: 'state-replaced', reason: 'sync' });
+
+  if (conflicts.length > 0) {
+    const shown = conflicts.slice(0, 3).join(', ') + (conflicts.length > 3 ? ` and ${conflicts.length - 3} more` : '');
+    api.showNotification(`Folders were changed in another window at the same time. Kept the other window's version of ${shown}`, 'warning');
+  }
+  if (layoutChanged) {
+    teamLayoutHash = null;
+    teamLayoutStatus = null;
+    watchTeamLayout();
+  }
+
+  return JSON.stringify(getSyncData()) !== JSON.stringify(remote);
+}
+
+/**
+ * Check for and merge changes another window saved. Queued with the writes so the two never overlap.
+ */
+function pullExternalChanges() {
+  const owner = api;
+  writeQueue = writeQueue.then(async (ok) => {
+    if (!owner || api !== owner) return ok;
+    syncPending = false;
+    const external = await readExternalState();
+    if (external && api === owner && applyExternalState(external)) saveState();
+    return ok;
+  });
+  return writeQueue;
+}
+
+/**
+ * Listen for saves from other SimplyTerm windows. The state file is also checked every
+ * SYNC_POLL_INTERVAL, or only every SYNC_FALLBACK_POLL_INTERVAL when the BroadcastChannel
+ * carries the announcements, for windows it does not reach (separate processes).
+ */
+function startStateSync() {
+  if (typeof BroadcastChannel === 'function') {
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    syncChannel.onmessage = (e) => {
+      if (e.data && e.data.type === 'state-saved' && e.data.writer !== instanceId) {
+        syncPending = true;
+        pullExternalChanges();
+      }
+    };
+  }
+  syncTimer = setInterval(pullExternalChanges, syncChannel ? SYNC_FALLBACK_POLL_INTERVAL : SYNC_POLL_INTERVAL);
+}
+
+/**
+ * Stop listening for other windows' saves
+ */
+function stopStateSync() {
+  if (syncChannel) {
+    syncChannel.close();
+    syncChannel = null;
+  }
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+}
+
+/**
+ * Remember a folder as a recently used move target
+ */
+function recordRecentFolder(folderId) {
+  if (!folderId) return;
+  recentFolderIds = [folderId, ...recentFolderIds.filter(id => id !== folderId)].slice(0, MAX_RECENT_FOLDERS);
+  saveState();
+}
+
+/**
+ * Hash a string (djb2) to detect identical backups
+ */
+function hashString(str) {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Load the list of backups
+ */
+async function loadBackupIndex() {
+  const data = await readDocument(BACKUP_INDEX_FILE, null, { quarantine: false });
+  backupIndex = Array.isArray(data)
+    ? data.filter(entry => entry && typeof entry.slot === 'number' && typeof entry.createdAt === 'number')
+    : [];
+}
+
+/**
+ * Save a snapshot of the current data into the oldest backup slot.
+ * The snapshot is serialized synchronously; identical consecutive backups are skipped.
+ */
+function createBackup(reason) {
+  const snapshot = getStateSnapshot();
+  const payload = JSON.stringify({
+    folders: snapshot.folders,
+    sessionFolders: snapshot.sessionFolders,
+    smartFolders: snapshot.smartFolders,
+    tags: snapshot.tags,
+    sessionTags: snapshot.sessionTags,
+    autoFileRules: snapshot.autoFileRules,
+  });
+  const fingerprint = hashString(payload);
+  const content = JSON.stringify({ schemaVersion: SCHEMA_VERSION, data: snapshot }, null, 2);
+  const folderCount = snapshot.folders.length;
+  const sessionCount = Object.keys(snapshot.sessionFolders).length;
+  const storage = api.storage;
+
+  backupQueue = backupQueue.then(async () => {
+    if (protectedFiles.has(BACKUP_INDEX_FILE)) return;
+    if (backupIndex.length > 0 && backupIndex[0].fingerprint === fingerprint) return;
+
+    const usedSlots = new Set(backupIndex.map(entry => entry.slot));
+    let slot = 0;
+    while (usedSlots.has(slot) && slot < MAX_BACKUPS) slot++;
+    if (slot >= MAX_BACKUPS) slot = backupIndex[backupIndex.length - 1].slot;
+
+    const entry = {
+      slot,
+      createdAt: Date.now(),
+      reason,
+      folderCount,
+      sessionCount,
+      fingerprint,
+    };
+
+    try {
+      await storage.write(`backup-${slot}.json`, content);
+      backupIndex = [entry, ...backupIndex.filter(e => e.slot !== slot)].slice(0, MAX_BACKUPS);
+      await storage.write(BACKUP_INDEX_FILE, JSON.stringify({ schemaVersion: SCHEMA_VERSION, data: backupIndex }, null, 2));
+    } catch (e) {
+      console.error('[Folders] Failed to write backup:', e);
+    }
+  });
+
+  return backupQueue;
+}
+
+/**
+ * Read a backup's state snapshot, or null if it is missing or unreadable
+ */
+async function readBackup(entry) {
+  const data = await readDocument(`backup-${entry.slot}.json`, null, { quarantine: false });
+  return data ? validateState(data).data : null;
+}
+
+/**
+ * Summarize how a backup differs from the current data
+ */
+function describeBackupDiff(backup) {
+  const personalFolders = getPersonalFolders();
+  const currentIds = new Set(personalFolders.map(f => f.id));
+  const backupIds = new Set(backup.folders.map(f => f.id));
+  const onlyInBackup = backup.folders.filter(f => !currentIds.has(f.id)).length;
+  const onlyNow = personalFolders.filter(f => !backupIds.has(f.id)).length;
+  const changed = backup.folders.filter(f => {
+    const current = personalFolders.find(c => c.id === f.id);
+    return current && (current.name !== f.name || current.color !== f.color || (current.parentId || null) !== (f.parentId || null));
+  }).length;
+
+  const sessionIds = new Set([...Object.keys(sessionFolders), ...Object.keys(backup.sessionFolders)]);
+  let movedSessions = 0;
+  sessionIds.forEach(id => {
+    if ((sessionFolders[id] || null) !== (backup.sessionFolders[id] || null)) movedSessions++;
+  });
+
+  const parts = [];
+  if (onlyInBackup > 0) parts.push(`restores ${onlyInBackup} deleted folder(s)`);
+  if (onlyNow > 0) parts.push(`removes ${onlyNow} newer folder(s)`);
+  if (changed > 0) parts.push(`reverts ${changed} renamed/recolored/moved folder(s)`);
+  if (movedSessions > 0) parts.push(`changes ${movedSessions} session mapping(s)`);
+  return parts.length > 0 ? parts.join(', ') : 'identical to current data';
+}
+
+/**
+ * Replace the current data with a backup (undoable, and backed up first)
+ */
+async function restoreBackup(entry) {
+  const backup = await readBackup(entry);
+  if (!backup) {
+    api.showNotification('This backup could not be read', 'error');
+    return false;
+  }
+
+  createBackup('Before restore');
+  recordHistory('Restore backup');
+  folders = [...backup.folders.filter(f => !f.shared), ...getSharedFolders()];
+  sessionFolders = backup.sessionFolders;
+  smartFolders = backup.smartFolders;
+  tags = backup.tags;
+  sessionTags = backup.sessionTags;
+  autoFileRules = backup.autoFileRules;
+  openAllSettings = backup.openAllSettings;
+  sortSettings = backup.sortSettings;
+  folderSorts = backup.folderSorts;
+  sessionOrder = backup.sessionOrder;
+  sessionUsage = backup.sessionUsage;
+  if (backup.expandedFolders) expandedFolders = new Set(backup.expandedFolders);
+  recentFolderIds = backup.recentFolderIds.filter(id => folders.some(f => f.id === id));
+  missingSessions = backup.missingSessions;
+  const layoutChanged = JSON.stringify(backup.teamLayout) !== JSON.stringify(teamLayout);
+  teamLayout = backup.teamLayout;
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'state-replaced', reason: 'restore' });
+  if (layoutChanged) {
+    teamLayoutHash = null;
+    teamLayoutStatus = null;
+    watchTeamLayout();
+  }
+  return true;
+}
+
+const EXPORT_FORMAT = 'simplyterm-folders-export';
+const EXPORT_VERSION = 1;
+
+/**
+ * Describe a session for export so it can be matched on another install
+ */
+function describeSession(session) {
+  return {
+    id: session.id,
+    name: session.name || null,
+    host: session.host || null,
+    username: session.username || null,
+    port: session.port || null,
+  };
+}
+
+/**
+ * Build an export bundle of the whole hierarchy, or of one folder's subtree
+ */
+function buildExportBundle(rootFolderId = null) {
+  const folderIds = rootFolderId ? [rootFolderId, ...getDescendantFolderIds(rootFolderId)] : getPersonalFolders().map(f => f.id);
+  const exported = folders
+    .filter(f => folderIds.includes(f.id))
+    .map(f => ({
+      id: f.id,
+      name: f.name,
+      color: f.color,
+      parentId: f.id === rootFolderId ? null : f.parentId || null,
+      order: f.order,
+      ...(f.defaults ? { defaults: f.defaults } : {}),
+    }));
+
+  const sessions = api.getAllSessions()
+    .filter(session => folderIds.includes(sessionFolders[session.id]))
+    .map(session => ({ ...describeSession(session), folderId: sessionFolders[session.id] }));
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    subtree: rootFolderId ? getFolderPathLabel(rootFolderId) : null,
+    folders: exported,
+    sessions,
+    expandedFolders: folderIds.filter(id => expandedFolders.has(id)),
+  };
+}
+
+/**
+ * Find a local session for an imported session description.
+ * Tries the session ID first (when allowed), then name + host, then a unique name or host.
+ */
+function matchSession(descriptor, sessions, matchById = true) {
+  const lower = (value) => (value === null || value === undefined ? '' : String(value).toLowerCase());
+
+  if (matchById && descriptor.id) {
+    const byId = sessions.find(s => s.id === descriptor.id);
+    if (byId) return byId;
+  }
+
+  const name = lower(descriptor.name);
+  const host = lower(descriptor.host);
+  if (name && host) {
+    const both = sessions.find(s => lower(s.name) === name && lower(s.host) === host);
+    if (both) return both;
+  }
+  if (name) {
+    const byName = sessions.filter(s => lower(s.name) === name);
+    if (byName.length === 1) return byName[0];
+  }
+  if (host) {
+    let byHost = sessions.filter(s => lower(s.host) === host);
+    if (byHost.length > 1 && descriptor.username) {
+      byHost = byHost.filter(s => lower(s.username) === lower(descriptor.username));
+    }
+    if (byHost.length === 1) return byHost[0];
+  }
+  return null;
+}
+
+/**
+ * Turn an export bundle into an import plan:
+ * { folders: [{ key, name, color, parentKey, expanded }], entries: [{ descriptor, folderKey }] }
+ * Folders are listed parents first.
+ */
+function parseExportBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!bundle || bundle.format !== EXPORT_FORMAT) {
+    throw new Error('This is not a SimplyTerm folders export');
+  }
+  if (typeof bundle.version !== 'number' || bundle.version > EXPORT_VERSION) {
+    throw new Error('This export was made by a newer version of the plugin');
+  }
+
+  const validated = validateFolders(bundle.folders).data;
+  const expanded = new Set(Array.isArray(bundle.expandedFolders) ? bundle.expandedFolders : []);
+
+  const planFolders = [];
+  function addChildren(parentId) {
+    validated
+      .filter(f => (f.parentId || null) === parentId)
+      .sort((a, b) => a.order - b.order)
+      .forEach(f => {
+        planFolders.push({
+          key: f.id,
+          name: f.name,
+          color: f.color,
+          parentKey: f.parentId || null,
+          expanded: expanded.has(f.id),
+          defaults: f.defaults || null,
+        });
+        addChildren(f.id);
+      });
+  }
+  addChildren(null);
+
+  const keys = new Set(planFolders.map(f => f.key));
+  const entries = (Array.isArray(bundle.sessions) ? bundle.sessions : [])
+    .filter(entry => entry && keys.has(entry.folderId))
+    .map(entry => ({ descriptor: entry, folderKey: entry.folderId }));
+
+  return { folders: planFolders, entries };
+}
+
+/**
+ * Work out what importing a plan would do, without changing anything.
+ * mode: 'merge' reuses existing folders with the same path; 'replace' starts from scratch.
+ */
+function resolveImport(plan, { mode = 'merge', matchById = true } = {}) {
+  const sessions = api.getAllSessions();
+  const steps = [];
+  const existingByKey = {};
+  const pathByKey = {};
+
+  for (const f of plan.folders) {
+    const parentExisting = f.parentKey ? existingByKey[f.parentKey] : null;
+    const parentIsNew = f.parentKey && !parentExisting;
+    let existing = null;
+    if (mode === 'merge' && !parentIsNew) {
+      existing = getPersonalFolders().find(c => (c.parentId || null) === (parentExisting || null)
+        && c.name.toLowerCase() === f.name.toLowerCase()) || null;
+    }
+    existingByKey[f.key] = existing ? existing.id : null;
+    pathByKey[f.key] = f.parentKey ? `${pathByKey[f.parentKey]} / ${f.name}` : f.name;
+    steps.push({ ...f, existingId: existing ? existing.id : null, path: pathByKey[f.key] });
+  }
+
+  const assignments = [];
+  const unmatched = [];
+  const assigned = new Set();
+  for (const entry of plan.entries) {
+    const session = matchSession(entry.descriptor, sessions, matchById);
+    if (!session || assigned.has(session.id)) {
+      if (!session) unmatched.push(entry.descriptor);
+      continue;
+    }
+    assigned.add(session.id);
+    const currentFolderId = mode === 'replace' ? null : sessionFolders[session.id] || null;
+    if (currentFolderId && currentFolderId === existingByKey[entry.folderKey]) continue;
+    assignments.push({ session, folderKey: entry.folderKey, path: pathByKey[entry.folderKey], fromFolderId: currentFolderId });
+  }
+
+  return {
+    mode,
+    steps,
+    assignments,
+    unmatched,
+    removedFolderCount: mode === 'replace' ? getPersonalFolders().length : 0,
+  };
+}
+
+/**
+ * Apply a resolved import (see resolveImport) as one undoable step
+ */
+async function applyImport(resolved) {
+  createBackup('Before import');
+  await withHistoryGroup('Import folders', async () => {
+    if (resolved.mode === 'replace') {
+      const filed = sessionFolders;
+      folders = getSharedFolders();
+      // The shared team folders are not replaced, so sessions filed in them stay there
+      sessionFolders = Object.fromEntries(Object.entries(filed).filter(([, folderId]) => isSharedFolder(folderId)));
+      // Sorts and manual positions inside the removed folders go with them
+      folderSorts = Object.fromEntries(Object.entries(folderSorts).filter(([folderId]) => isSharedFolder(folderId)));
+      for (const sessionId of Object.keys(sessionOrder)) {
+        if (filed[sessionId] && !sessionFolders[sessionId]) delete sessionOrder[sessionId];
+      }
+    }
+
+    const idByKey = {};
+    for (const step of resolved.steps) {
+      if (step.existingId) {
+        idByKey[step.key] = step.existingId;
+        continue;
+      }
+      const folder = await createFolder(step.name, step.color, step.parentKey ? idByKey[step.parentKey] : null);
+      idByKey[step.key] = folder.id;
+      if (step.expanded === false) expandedFolders.delete(folder.id);
+      if (step.defaults) await updateFolder(folder.id, { defaults: step.defaults });
+    }
+
+    for (const { session, folderKey } of resolved.assignments) {
+      await moveSessionToFolder(session.id, idByKey[folderKey]);
+    }
+  });
+}
+
+/**
+ * Build an import plan from sessions that each carry a folder path (array of names).
+ * Entries with an empty path are left out: they stay wherever they are.
+ */
+function planFromPaths(items) {
+  const planFolders = [];
+  const keys = new Set();
+  const entries = [];
+
+  for (const { path, descriptor } of items) {
+    const names = path.map(name => name.trim()).filter(Boolean);
+    if (names.length === 0) continue;
+
+    let parentKey = null;
+    names.forEach((name, i) => {
+      const key = names.slice(0, i + 1).join('\u0000').toLowerCase();
+      if (!keys.has(key)) {
+        keys.add(key);
+        planFolders.push({ key, name, color: null, parentKey, expanded: true });
+      }
+      parentKey = key;
+    });
+    entries.push({ descriptor, folderKey: parentKey });
+  }
+
+  if (planFolders.length === 0) {
+    throw new Error('No folders or groups were found in this file');
+  }
+  return { folders: planFolders, entries };
+}
+
+/**
+ * Split a folder path written with "/" or "\" separators
+ */
+function splitFolderPath(value) {
+  return String(value || '').split(/[\\/]+/).filter(Boolean);
+}
+
+/**
+ * OpenSSH client config.
+ * A "# folder: A/B" comment files the Host blocks after it (an empty one stops);
+ * otherwise hosts are grouped under the wildcard pattern they match ("Host prod-*" -> "prod"),
+ * or under an alias prefix ("prod-web-1" -> "prod") shared by several hosts.
+ */
+function parseSshConfig(text) {
+  const hosts = [];
+  const wildcards = [];
+  let current = null;
+  let commentFolder = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const folderComment = line.match(/^#\s*folder\s*:\s*(.*)$/i);
+    if (folderComment) {
+      commentFolder = splitFolderPath(folderComment[1]);
+      continue;
+    }
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^(\S+?)\s*(?:=\s*|\s+)(.*)$/);
+    if (!match) continue;
+    const key = match[1].toLowerCase();
+    const value = match[2].trim().replace(/^"(.*)"$/, '$1');
+
+    if (key === 'host') {
+      current = [];
+      for (const pattern of value.split(/\s+/)) {
+        if (pattern.startsWith('!')) continue;
+        if (/[*?]/.test(pattern)) {
+          const name = pattern.replace(/[*?]+/g, '').replace(/^[-._]+|[-._]+$/g, '');
+          if (name) wildcards.push({ regex: globToRegExp(pattern), name });
+          continue;
+        }
+        const host = { alias: pattern, options: {}, folder: commentFolder };
+        hosts.push(host);
+        current.push(host);
+      }
+    } else if (key === 'match') {
+      current = null;
+    } else if (current) {
+      current.forEach(host => {
+        if (!(key in host.options)) host.options[key] = value;
+      });
+    }
+  }
+
+  if (hosts.length === 0) throw new Error('No Host entries were found');
+
+  const prefixOf = (alias) => {
+    const m = alias.match(/^([^-._]+)[-._]/);
+    return m ? m[1] : null;
+  };
+  const prefixCounts = {};
+  hosts.forEach(h => {
+    const prefix = prefixOf(h.alias);
+    if (prefix) prefixCounts[prefix] = (prefixCounts[prefix] || 0) + 1;
+  });
+
+  return planFromPaths(hosts.map(h => {
+    let path = h.folder || [];
+    if (path.length === 0) {
+      const wildcard = wildcards.find(w => w.regex.test(h.alias));
+      const prefix = prefixOf(h.alias);
+      if (wildcard) path = [wildcard.name];
+      else if (prefix && prefixCounts[prefix] > 1) path = [prefix];
+    }
+    return {
+      path,
+      descriptor: {
+        name: h.alias,
+        host: h.options.hostname || h.alias,
+        username: h.options.user || null,
+        port: h.options.port ? parseInt(h.options.port, 10) : null,
+      },
+    };
+  }));
+}
+
+/**
+ * Parse the sections of a Windows registry export into { keyPath: { valueName: value } }
+ */
+function parseRegFile(text) {
+  const sections = {};
+  let current = null;
+  for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const section = line.match(/^\[(.+)\]$/);
+    if (section) {
+      current = sections[section[1]] = {};
+      continue;
+    }
+    if (!current) continue;
+    const value = line.match(/^"((?:[^"\\]|\\.)*)"=(.*)$/);
+    if (!value) continue;
+    const raw = value[2];
+    if (raw.startsWith('"')) {
+      current[value[1]] = raw.slice(1, -1).replace(/\\(.)/g, '$1');
+    } else if (raw.startsWith('dword:')) {
+      current[value[1]] = parseInt(raw.slice(6), 16);
+    }
+  }
+  return sections;
+}
+
+/**
+ * PuTTY / KiTTY sessions exported from the registry.
+ * KiTTY's "Folder" value is used when present; otherwise folders are taken from
+ * "/" or "\" separators in the session name ("Prod/Web/web-1").
+ */
+function parsePuttyReg(text) {
+  const sections = parseRegFile(text);
+  const items = [];
+  for (const [keyPath, values] of Object.entries(sections)) {
+    const match = keyPath.match(/\\Sessions\\([^\\]+)$/i);
+    if (!match) continue;
+    let fullName;
+    try {
+      fullName = decodeURIComponent(match[1]);
+    } catch (e) {
+      fullName = match[1];
+    }
+    if (fullName === 'Default Settings') continue;
+
+    const parts = splitFolderPath(fullName);
+    const name = parts.pop() || fullName;
+    const path = values.Folder ? splitFolderPath(values.Folder) : parts;
+    items.push({
+      path,
+      descriptor: {
+        name,
+        host: values.HostName || null,
+        username: values.UserName || null,
+        port: typeof values.PortNumber === 'number' ? values.PortNumber : null,
+      },
+    });
+  }
+  if (items.length === 0) throw new Error('No PuTTY or KiTTY sessions were found');
+  return planFromPaths(items);
+}
+
+/**
+ * Remmina connection profiles (one or more .remmina files); "group" holds the folder path
+ */
+function parseRemmina(text) {
+  const items = [];
+  let current = null;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (/^\[remmina\]$/i.test(line)) {
+      current = {};
+      items.push(current);
+      continue;
+    }
+    const match = current && line.match(/^([^=]+)=(.*)$/);
+    if (match) current[match[1].trim()] = match[2].trim();
+  }
+  if (items.length === 0) throw new Error('No Remmina profiles were found');
+
+  return planFromPaths(items.map(profile => {
+    const server = (profile.server || profile.ssh_tunnel_server || '').match(/^\[?([^\]]*?)\]?(?::(\d+))?$/) || [];
+    return {
+      path: splitFolderPath(profile.group),
+      descriptor: {
+        name: profile.name || null,
+        host: server[1] || null,
+        username: profile.username || profile.ssh_username || null,
+        port: server[2] ? parseInt(server[2], 10) : null,
+      },
+    };
+  }));
+}
+
+/**
+ * MobaXterm session export: each [Bookmarks_N] section has a "SubRep" folder path
+ * and one "name=#icon#type%host%port%user%..." line per session.
+ */
+function parseMobaXterm(text) {
+  const items = [];
+  let folder = null;
+  let inBookmarks = false;
+  for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const section = line.match(/^\[(.+)\]$/);
+    if (section) {
+      inBookmarks = /^Bookmarks(_\d+)?$/i.test(section[1]);
+      folder = [];
+      continue;
+    }
+    if (!inBookmarks) continue;
+    const match = line.match(/^([^=]+)=(.*)$/);
+    if (!match) continue;
+    const key = match[1].trim();
+    const value = match[2];
+    if (key === 'SubRep') {
+      folder = splitFolderPath(value);
+      continue;
+    }
+    if (key === 'ImgNum' || !value.startsWith('#')) continue;
+
+    const fields = value.replace(/^#\d+#/, '').split('%');
+    items.push({
+      path: folder,
+      descriptor: {
+        name: key,
+        host: fields[1] || null,
+        port: fields[2] ? parseInt(fields[2], 10) || null : null,
+        username: fields[3] || null,
+      },
+    });
+  }
+  if (items.length === 0) throw new Error('No MobaXterm sessions were found');
+  return planFromPaths(items);
+}
+
+/**
+ * Remove a trailing "# comment" from a YAML line, ignoring "#" inside quotes
+ */
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Convert a YAML scalar: quoted strings, numbers, booleans, null, and [a, b] lists
+ */
+function parseYamlScalar(text) {
+  const value = text.trim();
+  if (/^"(.*)"$/.test(value)) return JSON.parse(value);
+  if (/^'(.*)'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === '[]') return [];
+  if (value === '{}') return {};
+  if (/^\[.*\]$/.test(value)) return value.slice(1, -1).split(',').map(parseYamlScalar);
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  if (/^(null|~)$/i.test(value)) return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Parse the block-style subset of YAML used by team layout files: nested mappings,
+ * "- " lists (including lists of mappings), scalars and comments. Throws with the line number.
+ */
+function parseYamlSubset(text) {
+  const lines = [];
+  text.replace(/^﻿/, '').split(/\r?\n/).forEach((raw, i) => {
+    const line = stripYamlComment(raw).replace(/\s+$/, '');
+    if (!line.trim() || line.trim() === '---') return;
+    if (/^\s*\t/.test(line)) throw new Error(`line ${i + 1}: indent with spaces, not tabs`);
+    lines.push({ indent: line.length - line.trimStart().length, text: line.trim(), number: i + 1 });
+  });
+  if (lines.length === 0) return null;
+
+  const entryPattern = /^("[^"]*"|'[^']*'|[^\s"'#-][^:]*?|-[^\s:][^:]*?):(?:\s+(.*))?$/;
+  const isListItem = (line) => line.text === '-' || line.text.startsWith('- ');
+  let pos = 0;
+
+  function parseBlock(indent) {
+    return isListItem(lines[pos]) ? parseList(indent) : parseMap(indent);
+  }
+
+  function parseValue(parentIndent, value) {
+    if (value !== undefined && value !== '') return parseYamlScalar(value);
+    const next = lines[pos];
+    if (next && next.indent > parentIndent) return parseBlock(next.indent);
+    // A list may sit at the same indent as its key
+    if (next && next.indent === parentIndent && isListItem(next)) return parseList(parentIndent);
+    return null;
+  }
+
+  function parseList(indent) {
+    const list = [];
+    while (pos < lines.length && lines[pos].indent === indent && isListItem(lines[pos])) {
+      const line = lines[pos];
+      const rest = line.text.slice(1).trim();
+      if (rest && entryPattern.test(rest)) {
+        // "- key: value" opens a mapping whose other keys line up with "key"
+        lines[pos] = { indent: indent + line.text.indexOf(rest), text: rest, number: line.number };
+        list.push(parseMap(lines[pos].indent));
+      } else {
+        pos++;
+        list.push(parseValue(indent, rest));
+      }
+    }
+    return list;
+  }
+
+  function parseMap(indent) {
+    const map = {};
+    while (pos < lines.length && lines[pos].indent === indent && !isListItem(lines[pos])) {
+      const line = lines[pos];
+      const match = line.text.match(entryPattern);
+      if (!match) throw new Error(`line ${line.number}: expected "key: value"`);
+      pos++;
+      map[String(parseYamlScalar(match[1]))] = parseValue(indent, match[2]);
+    }
+    return map;
+  }
+
+  const result = parseBlock(lines[0].indent);
+  if (pos < lines.length) throw new Error(`line ${lines[pos].number}: unexpected indentation`);
+  return result;
+}
+
+/**
+ * Parse a team layout file (JSON or YAML) into shared folders.
+ * The file holds a list of folders, or { folders: [...] }; each folder has a name and
+ * optionally an id, color, connection defaults and children. IDs default to the folder path.
+ */
+function parseTeamLayout(text, source = '') {
+  let doc;
+  if (/\.ya?ml$/i.test(source)) {
+    doc = parseYamlSubset(text);
+  } else {
+    try {
+      doc = JSON.parse(text.replace(/^﻿/, ''));
+    } catch (e) {
+      if (/\.json$/i.test(source)) throw new Error(`invalid JSON: ${e.message}`);
+      doc = parseYamlSubset(text);
+    }
+  }
+
+  const roots = Array.isArray(doc) ? doc : doc && Array.isArray(doc.folders) ? doc.folders : null;
+  if (!roots) throw new Error('expected a list of folders, or an object with a "folders" list');
+
+  const result = [];
+  const issues = [];
+  const ids = new Set();
+  (function addFolders(list, parentId, path) {
+    list.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || !entry.name.trim()) {
+        issues.push(`skipped a folder without a name${path.length > 0 ? ` in "${path.join('/')}"` : ''}`);
+        return;
+      }
+      const name = entry.name.trim();
+      const folderPath = [...path, name];
+      const label = folderPath.join('/');
+      const ownId = entry.id !== undefined && entry.id !== null && String(entry.id).trim() ? String(entry.id).trim() : label;
+      const id = SHARED_FOLDER_PREFIX + ownId;
+      if (ids.has(id)) {
+        issues.push(`skipped duplicate folder "${label}"`);
+        return;
+      }
+      ids.add(id);
+
+      const folder = {
+        id,
+        name,
+        color: isValidHexColor(entry.color) ? entry.color : DEFAULT_FOLDER_COLOR,
+        parentId,
+        order: index,
+        shared: true,
+      };
+      if (entry.color !== undefined && entry.color !== folder.color) issues.push(`ignored invalid color of "${label}"`);
+      if (entry.defaults !== undefined) {
+        const defaults = sanitizeFolderDefaults(entry.defaults);
+        if (defaults) folder.defaults = defaults;
+        else issues.push(`ignored invalid defaults of "${label}"`);
+      }
+      result.push(folder);
+
+      const children = entry.children !== undefined ? entry.children : entry.folders;
+      if (Array.isArray(children)) {
+        addFolders(children, id, folderPath);
+      } else if (children !== undefined && children !== null) {
+        issues.push(`ignored the children of "${label}" (not a list)`);
+      }
+    });
+  })(roots, null, []);
+
+  return { folders: result, issues };
+}
+
+/**
+ * Read the team layout file: http(s) and file URLs are fetched, other paths need a host
+ * that can read files outside plugin storage
+ */
+async function readTeamLayoutSource(source) {
+  if (/^(https?|file):/i.test(source)) {
+    const response = await fetch(source, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.text();
+  }
+  if (typeof api.readFile === 'function') return api.readFile(source);
+  throw new Error('this version of SimplyTerm cannot read files outside plugin storage; use an http(s) or file:// URL');
+}
+
+/**
+ * Replace the shared folders in the tree with a newly loaded layout
+ */
+function setSharedFolders(sharedFolders) {
+  folders = [...getPersonalFolders(), ...sharedFolders];
+  invalidateTreeIndex();
+  renderList();
+  notifyFoldersChanged({ type: 'state-replaced', reason: 'team-layout' });
+}
+
+/**
+ * Load the shared folders kept from the last successful load, so the layout is there
+ * even when its source cannot be read right now
+ */
+async function loadTeamLayoutCache() {
+  if (!teamLayout) return;
+  const cached = await readDocument(TEAM_LAYOUT_CACHE_FILE, null, { quarantine: false });
+  if (!cached || cached.source !== teamLayout.source || !Array.isArray(cached.folders)) return;
+  const validated = validateFolders(cached.folders).data.filter(f => f.id.startsWith(SHARED_FOLDER_PREFIX));
+  validated.forEach(f => { f.shared = true; });
+  folders = [...getPersonalFolders(), ...validated];
+  teamLayoutHash = cached.hash || null;
+  teamLayoutStatus = { loadedAt: cached.loadedAt || null, folderCount: validated.length, issues: [], error: null };
+  invalidateTreeIndex();
+}
+
+/**
+ * Read and apply the team layout. Unchanged files are skipped; a file that cannot be
+ * read or parsed keeps the current shared folders. Resolves true when the layout is current.
+ */
+async function reloadTeamLayout({ notify = false } = {}) {
+  if (!teamLayout) return false;
+  const source = teamLayout.source;
+  const owner = api;
+  const previousError = teamLayoutStatus ? teamLayoutStatus.error : null;
+
+  function fail(message) {
+    teamLayoutStatus = { ...(teamLayoutStatus || { loadedAt: null, folderCount: 0, issues: [] }), error: message };
+    // Report each new problem once, not on every check
+    if (notify || message !== previousError) api.showNotification(`Team layout: ${message}`, 'error');
+    return false;
+  }
+
+  let text;
+  try {
+    text = await readTeamLayoutSource(source);
+  } catch (e) {
+    if (api !== owner || !teamLayout || teamLayout.source !== source) return false;
+    return fail(`could not read ${source} (${e.message})`);
+  }
+  if (api !== owner || !teamLayout || teamLayout.source !== source) return false;
+
+  const hash = hashString(text);
+  if (hash === teamLayoutHash) {
+    if (teamLayoutStatus) teamLayoutStatus.error = null;
+    return true;
+  }
+
+  let parsed;
+  try {
+    parsed = parseTeamLayout(text, source);
+  } catch (e) {
+    return fail(`${source} could not be parsed (${e.message})`);
+  }
+
+  teamLayoutHash = hash;
+  teamLayoutStatus = { loadedAt: Date.now(), folderCount: parsed.folders.length, issues: parsed.issues, error: null };
+  if (parsed.issues.length > 0) console.warn('[Folders] Team layout issues:', parsed.issues);
+  setSharedFolders(parsed.folders);
+
+  const cache = { source, hash, loadedAt: teamLayoutStatus.loadedAt, folders: parsed.folders };
+  try {
+    await api.storage.write(TEAM_LAYOUT_CACHE_FILE, JSON.stringify({ schemaVersion: SCHEMA_VERSION, data: cache }, null, 2));
+  } catch (e) {
+    console.error('[Folders] Failed to cache the team layout:', e);
+  }
+  return true;
+}
+
+/**
+ * (Re)start watching the configured team layout file; drops the shared folders when none is set
+ */
+function watchTeamLayout() {
+  if (teamLayoutWatcher) {
+    teamLayoutWatcher();
+    teamLayoutWatcher = null;
+  }
+  if (!teamLayout) {
+    teamLayoutHash = null;
+    teamLayoutStatus = null;
+    if (getSharedFolders().length > 0) setSharedFolders([]);
+    return;
+  }
+
+  const source = teamLayout.source;
+  reloadTeamLayout();
+  if (!/^(https?|file):/i.test(source) && typeof api.watchFile === 'function') {
+    const unwatch = api.watchFile(source, () => reloadTeamLayout());
+    teamLayoutWatcher = typeof unwatch === 'function' ? unwatch : () => {};
+  } else {
+    const timer = setInterval(() => reloadTeamLayout(), TEAM_LAYOUT_POLL_INTERVAL);
+    teamLayoutWatcher = () => clearInterval(timer);
+  }
+}
+
+/**
+ * Point the plugin at a team layout file (or clear it with an empty source)
+ */
+function setTeamLayoutSource(source) {
+  const trimmed = (source || '').trim();
+  teamLayout = trimmed ? { source: trimmed } : null;
+  teamLayoutHash = null;
+  teamLayoutStatus = null;
+  saveState();
+  watchTeamLayout();
+}
+
+/**
+ * Capture the undoable part of the state (folders, mappings, smart folders, tags, sort order)
+ */
+function getHistorySnapshot() {
+  return JSON.parse(JSON.stringify({
+    folders: getPersonalFolders(), sessionFolders, smartFolders, tags, sessionTags, sortSettings, folderSorts, sessionOrder,
+  }));
+}
+
+/**
+ * Record the current state before a change so it can be undone
+ */
+function recordHistory(label) {
+  if (historySuspended > 0) return;
+  undoStack.push({ label, snapshot: getHistorySnapshot() });
+  if (undoStack.length > MAX_HISTORY) undoStack.shift();
+  redoStack = [];
+}
+
+/**
+ * Run several changes as one undo step
+ */
+async function withHistoryGroup(label, fn) {
+  recordHistory(label);
+  historySuspended++;
+  beginRenderBatch();
+  try {
+    return await fn();
+  } finally {
+    historySuspended--;
+    endRenderBatch();
+  }
+}
+
+/**
+ * Defer view renders until the matching endRenderBatch, so a bulk change renders once
+ */
+function beginRenderBatch() {
+  renderBatchDepth++;
+}
+
+/**
+ * End a render batch, running each render that was deferred during it once
+ */
+function endRenderBatch() {
+  renderBatchDepth--;
+  if (renderBatchDepth > 0) return;
+  const renders = [...pendingRenders];
+  pendingRenders.clear();
+  renders.forEach(render => render());
+}
+
+/**
+ * Defer a render while a batch is running. Returns true if it was deferred.
+ */
+function deferRender(render) {
+  if (renderBatchDepth === 0) return false;
+  pendingRenders.add(render);
+  return true;
+}
+
+/**
+ * Replace the undoable state with a snapshot
+ */
+function restoreHistorySnapshot(snapshot) {
+  folders = [...snapshot.folders, ...getSharedFolders()];
+  sessionFolders = snapshot.sessionFolders;
+  smartFolders = snapshot.smartFolders;
+  tags = snapshot.tags;
+  sessionTags = snapshot.sessionTags;
+  sortSettings = snapshot.sortSettings;
+  folderSorts = snapshot.folderSorts;
+  sessionOrder = snapshot.sessionOrder;
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'state-replaced', reason: 'history' });
+}
+
+/**
+ * Undo the most recent change. Returns its label, or null if there was nothing to undo.
+ */
+function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return null;
+  redoStack.push({ label: entry.label, snapshot: getHistorySnapshot() });
+  restoreHistorySnapshot(entry.snapshot);
+  return entry.label;
+}
+
+/**
+ * Redo the most recently undone change. Returns its label, or null if there was nothing to redo.
+ */
+function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return null;
+  undoStack.push({ label: entry.label, snapshot: getHistorySnapshot() });
+  restoreHistorySnapshot(entry.snapshot);
+  return entry.label;
+}
+
+/**
+ * Show a toast with an Undo action after a destructive change
+ */
+function showUndoToast(message) {
+  document.querySelectorAll('.folders-undo-toast').forEach(el => el.remove());
+
+  const toast = document.createElement('div');
+  toast.className = 'folders-undo-toast fixed z-[100] bottom-4 right-4 flex items-center gap-3 px-3 py-2 bg-crust border border-surface-0/50 rounded-lg shadow-xl text-xs text-text';
+  toast.setAttribute('role', 'status');
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+
+  const undoBtn = document.createElement('button');
+  undoBtn.className = 'text-accent font-medium hover:underline';
+  undoBtn.textContent = 'Undo';
+  undoBtn.addEventListener('click', () => {
+    dismiss();
+    undo();
+  });
+  toast.appendChild(undoBtn);
+
+  const timer = setTimeout(dismiss, 6000);
+  function dismiss() {
+    clearTimeout(timer);
+    toast.remove();
+  }
+
+  document.body.appendChild(toast);
+}
+
+/**
+ * Copy a folder for consumers outside the plugin, so they cannot mutate our state
+ */
+function toPublicFolder(folder) {
+  if (!folder) return null;
+  return {
+    id: folder.id,
+    name: folder.name,
+    color: folder.color,
+    parentId: folder.parentId || null,
+    order: folder.order,
+    defaults: folder.defaults ? JSON.parse(JSON.stringify(folder.defaults)) : null,
+    shared: !!folder.shared,
+  };
+}
+
+/**
+ * Announce a change: dispatches "simplyterm-folders-changed" with the change as detail
+ * and calls the handlers subscribed through the public API.
+ * change: { type, before?, after?, ... }
+ */
+function notifyFoldersChanged(change = { type: 'changed' }) {
+  window.dispatchEvent(new CustomEvent('simplyterm-folders-changed', { detail: change }));
+
+  const handlers = [...(eventListeners.get(change.type) || []), ...(eventListeners.get('*') || [])];
+  for (const handler of handlers) {
+    try {
+      handler(change);
+    } catch (e) {
+      console.error(`[Folders] Event handler for "${change.type}" failed:`, e);
+    }
+  }
+}
+
+/**
+ * Create a new folder
+ */
+async function createFolder(name, color = null, parentId = null) {
+  if (isSharedFolder(parentId)) {
+    console.warn('[Folders] Cannot create a folder inside the shared team layout');
+    return null;
+  }
+  const id = `folder-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+
+  const folder = {
+    id,
+    name,
+    color: color || DEFAULT_FOLDER_COLOR,
+    parentId,
+    order: folders.filter(f => f.parentId === parentId).length,
+  };
+
+  recordHistory(`Create folder "${name}"`);
+  folders.push(folder);
+  expandedFolders.add(id);
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'folder-created', before: null, after: toPublicFolder(folder) });
+
+  return folder;
+}
+
+/**
+ * Update a folder (only allowed fields)
+ */
+async function updateFolder(id, updates) {
+  const folder = folders.find(f => f.id === id);
+  if (!folder) return null;
+  if (folder.shared || isSharedFolder(updates.parentId)) {
+    console.warn('[Folders] Shared team folders are read-only');
+    return null;
+  }
+
+  // Prevent circular references
+  if (updates.parentId !== undefined && !canMoveFolder(id, updates.parentId)) {
+    console.warn('[Folders] Cannot set parent: would create circular reference');
+    return null;
+  }
+
+  let label = `Update folder "${folder.name}"`;
+  if (updates.name !== undefined) label = `Rename folder "${folder.name}"`;
+  else if (updates.color !== undefined) label = `Change color of "${folder.name}"`;
+  else if (updates.parentId !== undefined) label = `Move folder "${folder.name}"`;
+  else if (updates.order !== undefined) label = `Reorder folder "${folder.name}"`;
+  else if (updates.defaults !== undefined) label = `Edit defaults of "${folder.name}"`;
+  recordHistory(label);
+  const before = toPublicFolder(folder);
+
+  if (updates.name !== undefined) folder.name = updates.name;
+  if (updates.color !== undefined) folder.color = updates.color;
+  if (updates.parentId !== undefined) folder.parentId = updates.parentId;
+  if (updates.order !== undefined) folder.order = updates.order;
+  if (updates.defaults !== undefined) {
+    const defaults = sanitizeFolderDefaults(updates.defaults);
+    if (defaults) folder.defaults = defaults;
+    else delete folder.defaults;
+  }
+
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'folder-updated', before, after: toPublicFolder(folder) });
+
+  return folder;
+}
+
+/**
+ * Get parent -> child folders and folder -> sessions lookups for SimplyTerm's sessions, each
+ * list in display order. Built once and reused until invalidateTreeIndex (on saves and from
+ * the session watcher), so rendering does not scan every folder and session for each folder.
+ */
+function getTreeIndex() {
+  if (treeIndex) return treeIndex;
+
+  const sessions = api.getAllSessions();
+
+  const childFolders = new Map(); // parentId (null = root) -> folders in sort order, shared ones last
+  for (const folder of folders) {
+    const parentId = folder.parentId || null;
+    if (!childFolders.has(parentId)) childFolders.set(parentId, []);
+    childFolders.get(parentId).push(folder);
+  }
+
+  // Sessions filed into a shared folder the team layout no longer has count as uncategorized
+  const folderIds = new Set(folders.map(f => f.id));
+  const sessionsByFolder = new Map(); // folderId (null = uncategorized) -> sessions in sort order
+  const sessionKeys = new Map(); // sessionId -> sort key (see compareSortKeys)
+  sessions.forEach((session, i) => {
+    const folderId = folderIds.has(sessionFolders[session.id]) ? sessionFolders[session.id] : null;
+    if (!sessionsByFolder.has(folderId)) sessionsByFolder.set(folderId, []);
+    sessionsByFolder.get(folderId).push(session);
+    const usage = sessionUsage[session.id];
+    sessionKeys.set(session.id, {
+      name: session.name || session.id,
+      order: session.id in sessionOrder ? sessionOrder[session.id] : Infinity, // Unplaced sessions keep the host's order
+      index: i,
+      count: 0,
+      lastUsedAt: usage ? usage.lastUsedAt : 0,
+      connectCount: usage ? usage.connectCount : 0,
+    });
+  });
+
+  // Folders sort by the totals of their whole subtree
+  const folderKeys = new Map(); // folderId -> sort key
+  const addUpFolder = (folder) => {
+    if (folderKeys.has(folder.id)) return folderKeys.get(folder.id);
+    const key = { name: folder.name, order: folder.order, index: 0, count: 0, lastUsedAt: 0, connectCount: 0 };
+    folderKeys.set(folder.id, key);
+    const add = (part, count) => {
+      key.count += count;
+      key.lastUsedAt = Math.max(key.lastUsedAt, part.lastUsedAt);
+      key.connectCount += part.connectCount;
+    };
+    (sessionsByFolder.get(folder.id) || []).forEach(session => add(sessionKeys.get(session.id), 1));
+    (childFolders.get(folder.id) || []).forEach(child => {
+      const childKey = addUpFolder(child);
+      add(childKey, childKey.count);
+    });
+    return key;
+  };
+  folders.forEach(addUpFolder);
+
+  const folderById = new Map(folders.map(f => [f.id, f]));
+  const sorts = new Map([[null, sortSettings || DEFAULT_SORT_SETTINGS]]); // folderId -> effective sort settings
+  const getSort = (folderId) => {
+    if (sorts.has(folderId)) return sorts.get(folderId);
+    const folder = folderById.get(folderId);
+    const sort = folderSorts[folderId] || getSort(folder ? folder.parentId || null : null);
+    sorts.set(folderId, sort);
+    return sort;
+  };
+  childFolders.forEach((list, parentId) => {
+    const mode = getSort(parentId).mode;
+    list.sort((a, b) => (a.shared ? 1 : 0) - (b.shared ? 1 : 0) || compareSortKeys(mode, folderKeys.get(a.id), folderKeys.get(b.id)));
+  });
+  sessionsByFolder.forEach((list, folderId) => {
+    const mode = getSort(folderId).mode;
+    list.sort((a, b) => compareSortKeys(mode, sessionKeys.get(a.id), sessionKeys.get(b.id)));
+  });
+  folders.forEach(folder => getSort(folder.id));
+
+  treeIndex = { childFolders, sessionsByFolder, sessionKeys, folderKeys, sorts };
+  return treeIndex;
+}
+
+/**
+ * Compare two folders or sessions by their sort keys ({ name, order, index, count,
+ * lastUsedAt, connectCount }) under a sort mode. Ties fall back to natural name order.
+ */
+function compareSortKeys(mode, a, b) {
+  if (mode === 'manual') {
+    if (a.order !== b.order) return a.order < b.order ? -1 : 1;
+    return a.index - b.index;
+  }
+  if (mode === 'recent' && a.lastUsedAt !== b.lastUsedAt) return b.lastUsedAt - a.lastUsedAt;
+  if (mode === 'connections' && a.connectCount !== b.connectCount) return b.connectCount - a.connectCount;
+  if (mode === 'count' && a.count !== b.count) return b.count - a.count;
+  return NAME_COLLATOR.compare(a.name, b.name);
+}
+
+/**
+ * Get the sort settings that apply to a folder's contents: its own, else the nearest
+ * ancestor's, else the global ones (folderId null = the root level and uncategorized)
+ */
+function getEffectiveSort(folderId) {
+  return getTreeIndex().sorts.get(folderId || null) || sortSettings || DEFAULT_SORT_SETTINGS;
+}
+
+/**
+ * Order a folder's sub-folders and sessions for display: [{ folder } | { session }].
+ * Folders come first unless the sort turns that off; then a manual sort puts the
+ * sessions first and the other modes interleave both by the same key.
+ */
+function orderFolderContents(childFolders, folderSessions, sort, index) {
+  const folderEntries = childFolders.map(folder => ({ folder }));
+  const sessionEntries = folderSessions.map(session => ({ session }));
+  if (sort.foldersFirst) return [...folderEntries, ...sessionEntries];
+  if (sort.mode === 'manual') return [...sessionEntries, ...folderEntries];
+
+  const merged = [];
+  let i = 0;
+  let j = 0;
+  while (i < folderEntries.length && j < sessionEntries.length) {
+    const sessionKey = index.sessionKeys.get(sessionEntries[j].session.id);
+    const folderKey = index.folderKeys.get(folderEntries[i].folder.id);
+    merged.push(compareSortKeys(sort.mode, sessionKey, folderKey) < 0 ? sessionEntries[j++] : folderEntries[i++]);
+  }
+  return merged.concat(folderEntries.slice(i), sessionEntries.slice(j));
+}
+
+/**
+ * Drop the cached tree lookups after folders, mappings or sessions changed
+ */
+function invalidateTreeIndex() {
+  treeIndex = null;
+  ruleRegExps.clear();
+}
+
+/**
+ * Get the folders defined by the user (everything except the shared team layout)
+ */
+function getPersonalFolders() {
+  return folders.filter(f => !f.shared);
+}
+
+/**
+ * Get the folders defined by the shared team layout
+ */
+function getSharedFolders() {
+  return folders.filter(f => f.shared);
+}
+
+/**
+ * Check whether a folder belongs to the read-only shared team layout
+ */
+function isSharedFolder(folderId) {
+  return !!folderId && folders.some(f => f.id === folderId && f.shared);
+}
+
+/**
+ * Get all descendant folder IDs (recursive)
+ */
+function getDescendantFolderIds(folderId) {
+  const ids = [];
+  const children = folders.filter(f => f.parentId === folderId);
+  for (const child of children) {
+    ids.push(child.id);
+    ids.push(...getDescendantFolderIds(child.id));
+  }
+  return ids;
+}
+
+/**
+ * Check whether a folder can be placed under a parent without creating a cycle
+ */
+function canMoveFolder(folderId, parentId) {
+  if (!parentId) return true;
+  return parentId !== folderId && !getDescendantFolderIds(folderId).includes(parentId);
+}
+
+/**
+ * Move a folder under a parent at a given position among its siblings
+ */
+async function moveFolder(id, parentId, index) {
+  const folder = folders.find(f => f.id === id);
+  if (!folder) return null;
+  if (folder.shared || isSharedFolder(parentId)) {
+    console.warn('[Folders] Shared team folders are read-only');
+    return null;
+  }
+
+  parentId = parentId || null;
+  if (!canMoveFolder(id, parentId)) {
+    console.warn('[Folders] Cannot move folder: would create circular reference');
+    return null;
+  }
+
+  const oldParentId = folder.parentId || null;
+  recordHistory(oldParentId === parentId ? `Reorder folder "${folder.name}"` : `Move folder "${folder.name}"`);
+  const before = toPublicFolder(folder);
+
+  const siblings = folders
+    .filter(f => (f.parentId || null) === parentId && f.id !== id)
+    .sort((a, b) => a.order - b.order);
+  const position = index === undefined ? siblings.length : Math.max(0, Math.min(index, siblings.length));
+  siblings.splice(position, 0, folder);
+
+  folder.parentId = parentId;
+  siblings.forEach((f, i) => { f.order = i; });
+
+  // Close the gap left in the previous parent
+  if (oldParentId !== parentId) {
+    folders
+      .filter(f => (f.parentId || null) === oldParentId)
+      .sort((a, b) => a.order - b.order)
+      .forEach((f, i) => { f.order = i; });
+  }
+
+  if (parentId) expandedFolders.add(parentId);
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'folder-updated', before, after: toPublicFolder(folder) });
+
+  return folder;
+}
+
+/**
+ * Get the chain of folders from the root down to a folder (inclusive)
+ */
+function getFolderPath(folderId) {
+  const path = [];
+  const seen = new Set();
+  let folder = folders.find(f => f.id === folderId);
+  while (folder && !seen.has(folder.id)) {
+    seen.add(folder.id);
+    path.unshift(folder);
+    folder = folder.parentId ? folders.find(f => f.id === folder.parentId) : null;
+  }
+  return path;
+}
+
+/**
+ * Get a folder's full path as a display label, e.g. "Prod / EU / db"
+ */
+function getFolderPathLabel(folderId) {
+  return getFolderPath(folderId).map(f => f.name).join(' / ');
+}
+
+/**
+ * Flatten the folder tree depth-first in display order
+ */
+function getFolderTreeOrder(parentId = null, depth = 0) {
+  const rows = [];
+  const children = folders
+    .filter(f => (f.parentId || null) === parentId)
+    .sort((a, b) => a.order - b.order);
+  for (const folder of children) {
+    rows.push({ folder, depth });
+    rows.push(...getFolderTreeOrder(folder.id, depth + 1));
+  }
+  return rows;
+}
+
+/**
+ * Layer one set of connection settings over resolved ones, recording where each value came from
+ */
+function layerSettings(resolved, values, source) {
+  for (const [key, value] of Object.entries(values || {})) {
+    if (key === 'env') {
+      resolved.settings.env = { ...resolved.settings.env, ...value };
+      resolved.sources.env = resolved.sources.env || {};
+      Object.keys(value).forEach(name => { resolved.sources.env[name] = source; });
+    } else {
+      resolved.settings[key] = value;
+      resolved.sources[key] = source;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Resolve the defaults a folder passes on: its ancestors' and its own, nearest folder winning.
+ * Environment variables are merged per name.
+ */
+function resolveFolderDefaults(folderId) {
+  const resolved = { settings: {}, sources: {} };
+  for (const folder of folderId ? getFolderPath(folderId) : []) {
+    layerSettings(resolved, folder.defaults, { type: 'folder', folderId: folder.id, folderName: folder.name });
+  }
+  return resolved;
+}
+
+/**
+ * Resolve the connection settings of a session: its folders' defaults, overridden by
+ * any value set on the session itself.
+ * Returns { settings, sources } where sources[key] is { type: 'folder', folderId, folderName }
+ * or { type: 'session' } (sources.env maps each variable name to its source).
+ */
+function getEffectiveSettings(sessionId) {
+  const resolved = resolveFolderDefaults(sessionFolders[sessionId] || null);
+  const session = api.getAllSessions().find(s => s.id === sessionId);
+  return layerSettings(resolved, session ? sanitizeFolderDefaults(session) : null, { type: 'session' });
+}
+
+/**
+ * Delete a folder and all its descendants
+ */
+async function deleteFolder(id) {
+  const folder = folders.find(f => f.id === id);
+  if (!folder || folder.shared) return;
+  createBackup(`Before deleting "${folder.name}"`);
+  recordHistory(`Delete folder "${folder.name}"`);
+
+  // Get all descendant folder IDs
+  const allFolderIds = [id, ...getDescendantFolderIds(id)];
+
+  // Move sessions from all deleted folders to root
+  const unfiledSessionIds = [];
+  for (const [sessionId, folderId] of Object.entries(sessionFolders)) {
+    if (allFolderIds.includes(folderId)) {
+      delete sessionFolders[sessionId];
+      unfiledSessionIds.push(sessionId);
+    }
+  }
+
+  // Remove all folders (the target and its descendants)
+  const before = toPublicFolder(folder);
+  folders = folders.filter(f => !allFolderIds.includes(f.id));
+  allFolderIds.forEach(folderId => { delete folderSorts[folderId]; });
+  saveState();
+  renderList();
+  notifyFoldersChanged({
+    type: 'folder-deleted',
+    before,
+    after: null,
+    deletedFolderIds: allFolderIds,
+    unfiledSessionIds,
+  });
+}
+
+/**
+ * Move session to folder
+ */
+async function moveSessionToFolder(sessionId, folderId) {
+  const session = api.getAllSessions().find(s => s.id === sessionId);
+  recordHistory(`Move "${session ? session.name || session.id : sessionId}"`);
+  const before = sessionFolders[sessionId] || null;
+  if (folderId) {
+    sessionFolders[sessionId] = folderId;
+  } else {
+    delete sessionFolders[sessionId];
+  }
+  // A manual position only means something among the sessions of the old folder
+  if (before !== (folderId || null)) delete sessionOrder[sessionId];
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'session-moved', sessionId, before, after: folderId || null });
+}
+
+/**
+ * Move several sessions to a folder (or to uncategorized) as one undoable change
+ */
+async function moveSessionsToFolder(sessionIds, folderId) {
+  const ids = [...new Set(sessionIds)].filter(id => (sessionFolders[id] || null) !== (folderId || null));
+  if (ids.length === 0) return 0;
+  if (ids.length === 1) {
+    await moveSessionToFolder(ids[0], folderId);
+    return 1;
+  }
+  await withHistoryGroup(`Move ${ids.length} sessions`, async () => {
+    for (const id of ids) await moveSessionToFolder(id, folderId);
+  });
+  return ids.length;
+}
+
+/**
+ * Place sessions just before or after another session in manual order, moving them into
+ * that session's folder first when needed (folderId null = uncategorized). One undoable change.
+ */
+async function placeSessions(sessionIds, folderId, anchorId, position) {
+  folderId = folderId || null;
+  // Keep the moved sessions in the order they are shown in
+  const shownIds = treeRows.filter(row => row.sessionId).map(row => row.sessionId);
+  const ids = [...new Set(sessionIds)].filter(id => id !== anchorId)
+    .sort((a, b) => shownIds.indexOf(a) - shownIds.indexOf(b));
+  if (ids.length === 0) return;
+
+  const session = ids.length === 1 ? api.getAllSessions().find(s => s.id === ids[0]) : null;
+  const label = ids.length === 1 ? `Reorder "${session ? session.name || session.id : ids[0]}"` : `Reorder ${ids.length} sessions`;
+  await withHistoryGroup(label, async () => {
+    await moveSessionsToFolder(ids, folderId);
+    const ordered = (getTreeIndex().sessionsByFolder.get(folderId) || []).map(s => s.id).filter(id => !ids.includes(id));
+    const anchorIndex = ordered.indexOf(anchorId);
+    const insertAt = anchorIndex < 0 ? ordered.length : anchorIndex + (position === 'after' ? 1 : 0);
+    ordered.splice(insertAt, 0, ...ids);
+    ordered.forEach((id, i) => { sessionOrder[id] = i; });
+    saveState();
+    renderList();
+    notifyFoldersChanged({ type: 'sessions-reordered', folderId, sessionIds: ordered });
+  });
+}
+
+/**
+ * Change how the tree is sorted, globally (folderId null) or inside one folder.
+ * settings: { mode, foldersFirst }, or null for a folder to follow its parent again.
+ */
+function setSortSettings(folderId, settings) {
+  const folder = folderId ? folders.find(f => f.id === folderId) : null;
+  if (folderId && !folder) return false;
+
+  recordHistory(folder ? `Sort "${folder.name}"` : 'Sort folders');
+  const before = folder ? folderSorts[folder.id] || null : sortSettings;
+  const after = settings ? validateSortSettings(settings).data : null;
+  if (!folder) {
+    sortSettings = after || { ...DEFAULT_SORT_SETTINGS };
+  } else if (after) {
+    folderSorts[folder.id] = after;
+  } else {
+    delete folderSorts[folder.id];
+  }
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'sort-changed', folderId: folder ? folder.id : null, before, after: folder ? after : sortSettings });
+  return true;
+}
+
+/**
+ * Get folder for a session
+ */
+function getSessionFolder(sessionId) {
+  return sessionFolders[sessionId] || null;
+}
+
+/**
+ * Get all folders
+ */
+function getFolders() {
+  return folders;
+}
+
+// Session fields offered by the rule builder; any other field can be entered by name
+const SMART_RULE_FIELDS = [
+  { value: 'name', label: 'Name' },
+  { value: 'host', label: 'Host' },
+  { value: 'type', label: 'Protocol / type' },
+  { value: 'username', label: 'Username' },
+  { value: 'port', label: 'Port' },
+];
+
+const SMART_RULE_OPERATORS = [
+  { value: 'glob', label: 'matches' },
+  { value: 'not-glob', label: 'does not match' },
+  { value: 'regex', label: 'matches regex' },
+  { value: 'equals', label: 'equals' },
+  { value: 'contains', label: 'contains' },
+];
+
+/**
+ * Convert a glob pattern (* and ?) to a case-insensitive anchored RegExp
+ */
+function globToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Read a session field for rule matching. "type" falls back to "protocol" and vice versa.
+ */
+function getSessionField(session, field) {
+  let value = session[field];
+  if (value === undefined || value === null) {
+    if (field === 'type') value = session.protocol;
+    else if (field === 'protocol') value = session.type;
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Get the compiled pattern of a glob or regex rule, or null for an invalid regex.
+ * Compiled once per pattern, so matching every session on each render stays cheap.
+ */
+function getRuleRegExp(rule) {
+  const expected = String(rule.value || '');
+  const kind = rule.operator === 'regex' ? 'regex' : 'glob';
+  const key = `${kind}:${expected}`;
+  if (!ruleRegExps.has(key)) {
+    let regex = null;
+    try {
+      regex = kind === 'regex' ? new RegExp(expected, 'i') : globToRegExp(expected);
+    } catch (e) {
+      // Invalid regex: matches nothing
+    }
+    ruleRegExps.set(key, regex);
+  }
+  return ruleRegExps.get(key);
+}
+
+/**
+ * Check whether a session satisfies a single rule
+ */
+function matchesRule(session, rule) {
+  const value = getSessionField(session, rule.field);
+  const expected = String(rule.value || '');
+
+  switch (rule.operator) {
+    case 'glob':
+      return getRuleRegExp(rule).test(value);
+    case 'not-glob':
+      return !getRuleRegExp(rule).test(value);
+    case 'regex': {
+      const regex = getRuleRegExp(rule);
+      return !!regex && regex.test(value);
+    }
+    case 'equals':
+      return value.toLowerCase() === expected.toLowerCase();
+    case 'contains':
+      return value.toLowerCase().includes(expected.toLowerCase());
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get the sessions matching a smart folder's rules
+ */
+function getSmartFolderSessions(smartFolder, sessions) {
+  const rules = smartFolder.rules || [];
+  if (rules.length === 0) return [];
+  return sessions.filter(session => (smartFolder.match === 'any'
+    ? rules.some(rule => matchesRule(session, rule))
+    : rules.every(rule => matchesRule(session, rule))));
+}
+
+/**
+ * Create a smart folder from a definition ({ name, color, match, rules })
+ */
+async function createSmartFolder(definition) {
+  const smartFolder = {
+    id: `smart-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+    name: definition.name,
+    color: definition.color || '#89b4fa',
+    match: definition.match === 'any' ? 'any' : 'all',
+    rules: definition.rules || [],
+  };
+
+  recordHistory(`Create smart folder "${smartFolder.name}"`);
+  smartFolders.push(smartFolder);
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'smart-folder-created', before: null, after: { ...smartFolder } });
+
+  return smartFolder;
+}
+
+/**
+ * Update a smart folder (only allowed fields)
+ */
+async function updateSmartFolder(id, updates) {
+  const smartFolder = smartFolders.find(f => f.id === id);
+  if (!smartFolder) return null;
+  recordHistory(`Edit smart folder "${smartFolder.name}"`);
+  const before = { ...smartFolder };
+
+  if (updates.name !== undefined) smartFolder.name = updates.name;
+  if (updates.color !== undefined) smartFolder.color = updates.color;
+  if (updates.match !== undefined) smartFolder.match = updates.match === 'any' ? 'any' : 'all';
+  if (updates.rules !== undefined) smartFolder.rules = updates.rules;
+
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'smart-folder-updated', before, after: { ...smartFolder } });
+
+  return smartFolder;
+}
+
+/**
+ * Delete a smart folder (sessions are unaffected)
+ */
+async function deleteSmartFolder(id) {
+  const smartFolder = smartFolders.find(f => f.id === id);
+  if (!smartFolder) return;
+  createBackup(`Before deleting smart folder "${smartFolder.name}"`);
+  recordHistory(`Delete smart folder "${smartFolder.name}"`);
+
+  smartFolders = smartFolders.filter(f => f.id !== id);
+  expandedFolders.delete(id);
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'smart-folder-deleted', before: { ...smartFolder }, after: null });
+}
+
+/**
+ * Create a tag
+ */
+async function createTag(name, color = null) {
+  const tag = {
+    id: `tag-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+    name,
+    color: color || DEFAULT_FOLDER_COLOR,
+  };
+
+  recordHistory(`Create tag "${name}"`);
+  tags.push(tag);
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'tag-created', before: null, after: { ...tag } });
+
+  return tag;
+}
+
+/**
+ * Rename or recolor a tag
+ */
+async function updateTag(id, updates) {
+  const tag = tags.find(t => t.id === id);
+  if (!tag) return null;
+  recordHistory(updates.name !== undefined ? `Rename tag "${tag.name}"` : `Change color of tag "${tag.name}"`);
+  const before = { ...tag };
+
+  if (updates.name !== undefined) tag.name = updates.name;
+  if (updates.color !== undefined) tag.color = updates.color;
+
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'tag-updated', before, after: { ...tag } });
+
+  return tag;
+}
+
+/**
+ * Delete a tag and remove it from every session
+ */
+async function deleteTag(id) {
+  const tag = tags.find(t => t.id === id);
+  if (!tag) return;
+  recordHistory(`Delete tag "${tag.name}"`);
+
+  tags = tags.filter(t => t.id !== id);
+  for (const [sessionId, ids] of Object.entries(sessionTags)) {
+    const remaining = ids.filter(tagId => tagId !== id);
+    if (remaining.length > 0) sessionTags[sessionId] = remaining;
+    else delete sessionTags[sessionId];
+  }
+  activeTagFilter = activeTagFilter.filter(tagId => tagId !== id);
+
+  saveState();
+  renderList();
+  notifyFoldersChanged({ type: 'tag-deleted', before: { ...tag }, after: null });
+}
+
+/**
+ * Get the tags of a session, in tag list order
+ */
+function getSessionTags(sessionId) {
+  const ids = sessionTags[sessionId] || [];
+  return tags.filter(t => ids.includes(t.id));
+}
+
+/**
+ * Add and remove tags on several sessions as one undoable change
+ */
+async function changeSessionTags(sessionIds, { add = [], remove = [] }) {
+  const changes = [];
+  for (const sessionId of new Set(sessionIds)) {
+    const before = sessionTags[sessionId] || [];
+    const after = [...new Set([...before.filter(id => !remove.includes(id)), ...add])]
+      .filter(id => tags.some(t => t.id === id));
+    if (after.length === before.length && after.every(id => before.includes(id))) continue;
+    changes.push({ sessionId, before, after });
+  }
+  if (changes.length === 0) return 0;
+
+  recordHistory(changes.length === 1 ? 'Change tags' : `Change tags of ${changes.length} sessions`);
+  for (const { sessionId, after } of changes) {
+    if (after.length > 0) sessionTags[sessionId] = after;
+    else delete sessionTags[sessionId];
+  }
+  saveState();
+  renderList();
+  for (const change of changes) {
+    notifyFoldersChanged({ type: 'session-tags-changed', ...change });
+  }
+  return changes.length;
+}
+
+/**
+ * Get the IDs of existing sessions carrying any (mode 'any') or all (mode 'all') of the given tags
+ */
+function getSessionIdsWithTags(tagIds, mode = 'any') {
+  return api.getAllSessions()
+    .map(s => s.id)
+    .filter(sessionId => {
+      const ids = sessionTags[sessionId] || [];
+      return mode === 'all'
+        ? tagIds.every(id => ids.includes(id))
+        : tagIds.some(id => ids.includes(id));
+    });
+}
+
+/**
+ * Find the target folder of the first auto-filing rule matching a session
+ */
+function findAutoFileFolder(session, rules = autoFileRules) {
+  for (const rule of rules) {
+    if (!folders.some(f => f.id === rule.folderId)) continue;
+    if (matchesRule(session, rule)) return rule.folderId;
+  }
+  return null;
+}
+
+/**
+ * Work out where auto-filing rules would put uncategorized sessions
+ * Returns [{ session, folderId }] without changing anything.
+ */
+function planAutoFiling(sessions, rules = autoFileRules) {
+  const plan = [];
+  for (const session of sessions) {
+    if (sessionFolders[session.id]) continue;
+    const folderId = findAutoFileFolder(session, rules);
+    if (folderId) plan.push({ session, folderId });
+  }
+  return plan;
+}
+
+/**
+ * File sessions that are in no folder according to the auto-filing rules
+ */
+function autoFileSessions(sessions) {
+  const plan = planAutoFiling(sessions);
+  if (plan.length === 0) return;
+
+  // Filing is not something the user did, so it gets no undo step of its own. It is
+  // carried into the undo/redo snapshots instead, so undoing an earlier change keeps it.
+  historySuspended++;
+  beginRenderBatch();
+  try {
+    for (const { session, folderId } of plan) {
+      moveSessionToFolder(session.id, folderId);
+    }
+  } finally {
+    historySuspended--;
+    endRenderBatch();
+  }
+  for (const { snapshot } of [...undoStack, ...redoStack]) {
+    for (const { session, folderId } of plan) {
+      const folderExists = isSharedFolder(folderId) || snapshot.folders.some(f => f.id === folderId);
+      if (!snapshot.sessionFolders[session.id] && folderExists) snapshot.sessionFolders[session.id] = folderId;
+    }
+  }
+}
+
+/**
+ * Apply auto-filing rules to every uncategorized session
+ */
+async function applyAutoFileRules() {
+  const plan = planAutoFiling(api.getAllSessions());
+  if (plan.length === 0) return 0;
+  createBackup('Before applying auto-filing rules');
+  await withHistoryGroup('Apply auto-filing rules', async () => {
+    for (const { session, folderId } of plan) {
+      await moveSessionToFolder(session.id, folderId);
+    }
+  });
+  return plan.length;
+}
+
+/**
+ * Forget mappings of sessions that were deleted in SimplyTerm.
+ * A session has to stay missing for ORPHAN_GRACE_PERIOD before its mapping is dropped,
+ * and an empty session list is ignored, so a list that is briefly unavailable loses nothing.
+ * Returns the number of mappings dropped.
+ */
+function reconcileSessionMappings(sessions) {
+  const tracked = new Set([...Object.keys(sessionFolders), ...Object.keys(sessionTags)]);
+  if (sessions.length === 0 && tracked.size > 0) return 0;
+
+  const live = new Set(sessions.map(s => s.id));
+  const now = Date.now();
+  let changed = false;
+  let pruned = 0;
+
+  for (const sessionId of Object.keys(missingSessions)) {
+    if (live.has(sessionId) || !tracked.has(sessionId)) {
+      delete missingSessions[sessionId];
+      changed = true;
+    }
+  }
+
+  for (const sessionId of tracked) {
+    if (live.has(sessionId)) continue;
+    if (!(sessionId in missingSessions)) {
+      missingSessions[sessionId] = now;
+      changed = true;
+    } else if (now - missingSessions[sessionId] >= ORPHAN_GRACE_PERIOD) {
+      if (sessionFolders[sessionId] || sessionTags[sessionId]) pruned++;
+      delete sessionFolders[sessionId];
+      delete sessionTags[sessionId];
+      delete sessionOrder[sessionId];
+      delete sessionUsage[sessionId];
+      delete missingSessions[sessionId];
+      changed = true;
+    }
+  }
+
+  if (changed) saveState();
+  if (pruned > 0) console.warn(`[Folders] Dropped ${pruned} mapping(s) of deleted sessions`);
+  return pruned;
+}
+
+/**
+ * Get the IDs of sessions that currently exist in SimplyTerm
+ */
+function getLiveSessionIds() {
+  return new Set(api.getAllSessions().map(s => s.id));
+}
+
+/**
+ * React to sessions being added, removed, renamed or reordered in SimplyTerm.
+ * Uses the host's change notification when available, otherwise polls.
+ */
+function watchSessions(onChange) {
+  const getSignature = () => api.getAllSessions().map(s => `${s.id}\t${s.name || ''}`).join('\n');
+  let signature = getSignature();
+
+  function check() {
+    if (!api) return;
+    const next = getSignature();
+    if (next === signature) return;
+    signature = next;
+    onChange();
+  }
+
+  if (typeof api.onSessionsChanged === 'function') {
+    const unsubscribe = api.onSessionsChanged(check);
+    return typeof unsubscribe === 'function' ? unsubscribe : () => {};
+  }
+
+  const timer = setInterval(check, 5000);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Focus (or open) a session in SimplyTerm. Returns false when the host cannot do it.
+ * The session's effective settings (folder defaults included) go along as options.settings.
+ */
+function openSession(sessionId) {
+  if (typeof api.openSession !== 'function') return false;
+  api.openSession(sessionId, { settings: getEffectiveSettings(sessionId).settings });
+  setActiveSession(sessionId);
+  return true;
+}
+
+/**
+ * Connect a session in SimplyTerm. Returns false when the host cannot do it.
+ * options.layout: 'tabs' (default) or 'split' to tile it next to the current terminal.
+ * The session's effective settings (folder defaults included) go along as options.settings.
+ */
+function connectSession(sessionId, options = {}) {
+  const connectOptions = { ...options, settings: getEffectiveSettings(sessionId).settings };
+  if (typeof api.connectSession === 'function') {
+    api.connectSession(sessionId, connectOptions);
+  } else if (typeof api.openSession === 'function') {
+    api.openSession(sessionId, { ...connectOptions, connect: true });
+  } else {
+    return false;
+  }
+  // Hosts that report connections are counted through watchSessionConnections instead
+  if (!connectionWatcher) recordSessionUse(sessionId, true);
+  if (sessionId === activeSessionId) renderList();
+  setActiveSession(sessionId);
+  return true;
+}
+
+/**
+ * Open a session from a user action, telling the user when the host cannot do it
+ */
+function openSessionOrNotify(sessionId) {
+  if (!openSession(sessionId)) api.showNotification('This version of SimplyTerm cannot open sessions from plugins', 'info');
+}
+
+/**
+ * Connect a session from a user action, telling the user when the host cannot do it
+ */
+function connectSessionOrNotify(sessionId) {
+  if (!connectSession(sessionId)) api.showNotification('This version of SimplyTerm cannot connect sessions from plugins', 'info');
+}
+
+/**
+ * Note a use of a session for the usage sort modes; connected also counts a connection.
+ * The usage is written on a delay (USAGE_PERSIST_DELAY) rather than saved right away.
+ */
+function recordSessionUse(sessionId, connected = false) {
+  const usage = sessionUsage[sessionId];
+  sessionUsage[sessionId] = {
+    lastUsedAt: Date.now(),
+    connectCount: (usage ? usage.connectCount : 0) + (connected ? 1 : 0),
+  };
+  // Only the usage sort modes read it, so the tree order needs rebuilding just for those
+  const usesUsage = (sort) => sort && (sort.mode === 'recent' || sort.mode === 'connections');
+  if (usesUsage(sortSettings) || Object.values(folderSorts).some(usesUsage)) invalidateTreeIndex();
+  if (!usageTimer) usageTimer = setTimeout(saveState, USAGE_PERSIST_DELAY);
+}
+
+/**
+ * Count the connections SimplyTerm reports, including ones not started from the tree.
+ * Returns a cleanup function, or null when the host does not report connections.
+ */
+function watchSessionConnections() {
+  if (typeof api.onSessionConnected !== 'function') return null;
+  const unsubscribe = api.onSessionConnected((sessionId) => {
+    if (!sessionId) return;
+    recordSessionUse(sessionId, true);
+    renderList();
+  });
+  return typeof unsubscribe === 'function' ? unsubscribe : () => {};
+}
+
+/**
+ * Track the session SimplyTerm has focused, when the host reports it
+ */
+function watchActiveSession(onChange) {
+  if (typeof api.getActiveSessionId === 'function') {
+    activeSessionId = api.getActiveSessionId() || null;
+  }
+  if (typeof api.onActiveSessionChanged !== 'function') return () => {};
+
+  const unsubscribe = api.onActiveSessionChanged((sessionId) => onChange(sessionId || null));
+  return typeof unsubscribe === 'function' ? unsubscribe : () => {};
+}
+
+/**
+ * Highlight the active session and reveal it by opening its ancestor folders for display,
+ * leaving the saved expanded state alone
+ */
+function setActiveSession(sessionId) {
+  if (sessionId === activeSessionId) return;
+  activeSessionId = sessionId;
+  if (sessionId) recordSessionUse(sessionId);
+
+  const folderId = sessionId ? sessionFolders[sessionId] : null;
+  revealedFolderIds = new Set((folderId ? getFolderPath(folderId) : [])
+    .map(folder => folder.id)
+    .filter(id => !expandedFolders.has(id)));
+  renderList();
+
+  if (sessionId) revealSessionRow(sessionId);
+}
+
+/**
+ * Connect a list of sessions one after another, waiting staggerMs between them.
+ * Resolves with the number started; stops early if another run starts or the plugin unloads.
+ */
+async function connectSessions(sessionIds, { layout = 'tabs', staggerMs = 0 } = {}) {
+  const run = ++openAllRun;
+  let started = 0;
+  for (const sessionId of sessionIds) {
+    if (run !== openAllRun || !api) break;
+    if (started > 0 && staggerMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, staggerMs));
+      if (run !== openAllRun || !api) break;
+    }
+    if (!connectSession(sessionId, { layout })) break;
+    started++;
+  }
+  return started;
+}
+
+/**
+ * Toggle folder expanded state
+ */
+function toggleFolder(folderId) {
+  // A folder only opened to reveal the active session closes without touching saved state
+  if (revealedFolderIds.delete(folderId)) {
+    renderList();
+    return;
+  }
+  if (expandedFolders.has(folderId)) {
+    expandedFolders.delete(folderId);
+  } else {
+    expandedFolders.add(folderId);
+  }
+  saveState();
+  renderList();
+}
+
+// Current drag operation in the sidebar tree: { type: 'session' | 'folder', id }
+let dragState = null;
+
+const DRAG_MIME = 'application/x-simplyterm-folders';
+
+const VIRTUALIZE_THRESHOLD = 300; // Rows above which the sidebar tree only renders what is on screen
+const TREE_ROW_HEIGHT = 28; // Row height (px) while the tree is virtualized
+const UNCATEGORIZED_ROW_HEIGHT = 40; // Height of the "Uncategorized" header row while virtualized
+const VIRTUAL_OVERSCAN = 10; // Rows rendered above and below the visible area
+const TYPE_AHEAD_TIMEOUT = 500; // ms between letters that still extend a tree type-ahead search
+
+/**
+ * Work out where a dragged item would land relative to a folder header.
+ * Folders can be dropped before/after a sibling (reorder, where the siblings are sorted
+ * manually) or inside it (reparent); sessions always go inside.
+ */
+function getDropPosition(header, e) {
+  if (!dragState || dragState.type !== 'folder') return 'inside';
+  const folder = folders.find(f => f.id === header.dataset.folderId);
+  if (folder && getEffectiveSort(folder.parentId).mode !== 'manual') return 'inside';
+  const rect = header.getBoundingClientRect();
+  const offset = e.clientY - rect.top;
+  if (offset < rect.height * 0.25) return 'before';
+  if (offset > rect.height * 0.75) return 'after';
+  return 'inside';
+}
+
+/**
+ * Work out where dragged sessions would land relative to a session row: just before or
+ * after it, in a folder sorted manually. Returns { folderId, anchorId, position } or null.
+ */
+function getSessionDropTarget(rowEl, e) {
+  if (!dragState || dragState.type !== 'session') return null;
+  const row = treeRows.find(r => r.key === rowEl.dataset.key);
+  if (!row || !row.sessionId || !row.parentKey || row.parentKey.startsWith('smart:')) return null;
+  const folderId = row.parentKey === 'uncategorized' ? null : row.parentKey.slice('folder:'.length);
+  if (getEffectiveSort(folderId).mode !== 'manual') return null;
+  const rect = rowEl.getBoundingClientRect();
+  return { folderId, anchorId: row.sessionId, position: e.clientY - rect.top < rect.height / 2 ? 'before' : 'after' };
+}
+
+/**
+ * Check whether the current drag may be dropped at a position relative to a folder
+ */
+function isValidDrop(targetFolderId, position) {
+  if (!dragState) return false;
+  if (dragState.type === 'session') return dragState.ids.some(id => sessionFolders[id] !== targetFolderId);
+
+  const target = folders.find(f => f.id === targetFolderId);
+  if (!target) return false;
+  // Shared folders come from the team layout: personal folders cannot go in or between them
+  if (target.shared) return false;
+  const parentId = position === 'inside' ? target.id : (target.parentId || null);
+  if (dragState.id === targetFolderId) return false;
+  return canMoveFolder(dragState.id, parentId);
+}
+
+/**
+ * Show (or clear) the drop indicator on an element
+ */
+function setDropIndicator(el, position, valid = true) {
+  if (!position) {
+    el.style.boxShadow = '';
+    el.style.backgroundColor = '';
+    el.style.cursor = '';
+    return;
+  }
+  if (!valid) {
+    el.style.boxShadow = 'inset 0 0 0 1px rgba(243, 139, 168, 0.6)';
+    el.style.backgroundColor = 'rgba(243, 139, 168, 0.08)';
+    el.style.cursor = 'not-allowed';
+    return;
+  }
+  el.style.cursor = '';
+  el.style.backgroundColor = position === 'inside' ? 'rgba(137, 180, 250, 0.15)' : '';
+  el.style.boxShadow = {
+    before: 'inset 0 2px 0 0 rgb(137, 180, 250)',
+    after: 'inset 0 -2px 0 0 rgb(137, 180, 250)',
+    inside: 'inset 0 0 0 1px rgb(137, 180, 250)',
+  }[position];
+}
+
+/**
+ * Apply a drop of the current drag onto a folder (or onto "Uncategorized" when targetFolderId is null)
+ */
+async function performDrop(targetFolderId, position) {
+  const drag = dragState;
+  dragState = null;
+  if (!drag) return;
+
+  if (drag.type === 'session') {
+    await moveSessionsToFolder(drag.ids, targetFolderId);
+    return;
+  }
+
+  // Folder dropped on "Uncategorized": move it to the end of the root level
+  if (!targetFolderId) {
+    await moveFolder(drag.id, null);
+    return;
+  }
+
+  const target = folders.find(f => f.id === targetFolderId);
+  if (!target) return;
+
+  if (position === 'inside') {
+    await moveFolder(drag.id, target.id);
+    return;
+  }
+
+  const parentId = target.parentId || null;
+  const siblings = folders
+    .filter(f => (f.parentId || null) === parentId && f.id !== drag.id)
+    .sort((a, b) => a.order - b.order);
+  const targetIndex = siblings.indexOf(target);
+  await moveFolder(drag.id, parentId, position === 'before' ? targetIndex : targetIndex + 1);
+}
+
+/**
+ * Wire up drag sources and drop targets in the sidebar tree. Listeners live on the list
+ * itself, so rows can be added and removed without re-attaching anything.
+ */
+function attachDragAndDrop(listEl) {
+  const getUncategorized = () => listEl.querySelector('.uncategorized-section');
+
+  function clearIndicators() {
+    listEl.querySelectorAll('.folder-header, [data-uncategorized], [data-session-id]').forEach(el => setDropIndicator(el, null));
+  }
+
+  listEl.addEventListener('dragstart', (e) => {
+    const row = e.target.closest('.session-in-folder, .session-item, .folder-header');
+    if (!row) return;
+    e.stopPropagation();
+    if (row.classList.contains('folder-header')) {
+      if (isSharedFolder(row.dataset.folderId)) {
+        e.preventDefault();
+        return;
+      }
+      dragState = { type: 'folder', id: row.dataset.folderId };
+    } else {
+      // Dragging a selected session drags the whole selection
+      const id = row.dataset.sessionId;
+      dragState = { type: 'session', id, ids: selectedSessionIds.has(id) ? [...selectedSessionIds] : [id] };
+    }
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData(DRAG_MIME, JSON.stringify(dragState));
+    e.dataTransfer.setData('text/plain', dragState.id);
+    const uncategorized = getUncategorized();
+    if (uncategorized) uncategorized.style.display = '';
+  });
+
+  listEl.addEventListener('dragend', () => {
+    dragState = null;
+    clearIndicators();
+    const uncategorized = getUncategorized();
+    if (uncategorized && uncategorized.dataset.empty) uncategorized.style.display = 'none';
+  });
+
+  listEl.addEventListener('dragover', (e) => {
+    if (!dragState) return;
+    const header = e.target.closest('.folder-header');
+    if (header) {
+      const position = getDropPosition(header, e);
+      const valid = isValidDrop(header.dataset.folderId, position);
+      setDropIndicator(header, position, valid);
+      if (valid) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+      } else {
+        e.dataTransfer.dropEffect = 'none';
+      }
+      return;
+    }
+
+    const sessionRow = e.target.closest('[data-session-id]');
+    const place = sessionRow && getSessionDropTarget(sessionRow, e);
+    if (place) {
+      const valid = dragState.ids.some(id => id !== place.anchorId);
+      setDropIndicator(sessionRow, place.position, valid);
+      if (valid) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+      } else {
+        e.dataTransfer.dropEffect = 'none';
+      }
+      return;
+    }
+
+    const zone = e.target.closest('[data-uncategorized]');
+    if (!zone) return;
+    const valid = dragState.type === 'folder' || dragState.ids.some(id => !!sessionFolders[id]);
+    setDropIndicator(zone, 'inside', valid);
+    if (valid) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    }
+  });
+
+  listEl.addEventListener('dragleave', (e) => {
+    const target = e.target.closest('.folder-header, [data-session-id], [data-uncategorized]');
+    if (target && !target.contains(e.relatedTarget)) setDropIndicator(target, null);
+  });
+
+  listEl.addEventListener('drop', (e) => {
+    const header = e.target.closest('.folder-header');
+    const sessionRow = !header && e.target.closest('[data-session-id]');
+    const place = sessionRow && getSessionDropTarget(sessionRow, e);
+    const zone = !header && !place && e.target.closest('[data-uncategorized]');
+    if (!header && !place && !zone) return;
+    e.preventDefault();
+    e.stopPropagation();
+    clearIndicators();
+
+    if (place) {
+      const drag = dragState;
+      dragState = null;
+      placeSessions(drag.ids, place.folderId, place.anchorId, place.position);
+      return;
+    }
+    if (zone) {
+      performDrop(null, 'inside');
+      return;
+    }
+    const position = getDropPosition(header, e);
+    if (isValidDrop(header.dataset.folderId, position)) {
+      performDrop(header.dataset.folderId, position);
+    } else {
+      dragState = null;
+    }
+  });
+}
+
+/**
+ * Check a value against the sidebar filter
+ */
+function matchesSearch(value) {
+  return value !== undefined && value !== null && String(value).toLowerCase().includes(searchQuery.toLowerCase());
+}
+
+/**
+ * Escape text for HTML and wrap the parts matching the sidebar filter in <mark>
+ */
+function highlightMatch(text) {
+  const value = String(text);
+  if (!searchQuery) return escapeHtml(value);
+
+  const lower = value.toLowerCase();
+  const needle = searchQuery.toLowerCase();
+  let html = '';
+  let from = 0;
+  let index = lower.indexOf(needle);
+  while (index !== -1) {
+    html += escapeHtml(value.slice(from, index))
+      + `<mark class="bg-accent/30 text-text rounded-sm">${escapeHtml(value.slice(index, index + needle.length))}</mark>`;
+    from = index + needle.length;
+    index = lower.indexOf(needle, from);
+  }
+  return html + escapeHtml(value.slice(from));
+}
+
+/**
+ * Work out what the sidebar shows for the current filter, or null when there is none.
+ * Matching folders are shown with their whole contents; folders that only contain matches
+ * show just the matches. Ancestors of matches are expanded for display only, without
+ * touching the saved expanded state.
+ */
+function getSearchView(sessions) {
+  if (!searchQuery) return null;
+
+  const view = {
+    matchedSessionIds: new Set(),
+    visibleSessionIds: new Set(),
+    visibleFolderIds: new Set(),
+    expandedFolderIds: new Set(),
+  };
+
+  const revealAncestors = (folderId) => {
+    for (const folder of getFolderPath(folderId)) {
+      view.visibleFolderIds.add(folder.id);
+      view.expandedFolderIds.add(folder.id);
+    }
+  };
+
+  // Folders whose name matches, and everything inside them
+  const insideMatch = new Set();
+  for (const folder of folders) {
+    if (!matchesSearch(folder.name)) continue;
+    const parentId = folder.parentId || null;
+    if (parentId) revealAncestors(parentId);
+    [folder.id, ...getDescendantFolderIds(folder.id)].forEach(id => {
+      insideMatch.add(id);
+      view.visibleFolderIds.add(id);
+    });
+  }
+
+  for (const session of sessions) {
+    const folderId = sessionFolders[session.id] || null;
+    const matched = matchesSearch(session.name || session.id) || (searchHosts && matchesSearch(session.host));
+    if (matched) {
+      view.matchedSessionIds.add(session.id);
+      view.visibleSessionIds.add(session.id);
+      if (folderId) revealAncestors(folderId);
+    } else if (folderId && insideMatch.has(folderId)) {
+      view.visibleSessionIds.add(session.id);
+    }
+  }
+
+  for (const smartFolder of smartFolders) {
+    const members = getSmartFolderSessions(smartFolder, sessions);
+    if (matchesSearch(smartFolder.name)) {
+      view.visibleFolderIds.add(smartFolder.id);
+      members.forEach(session => view.visibleSessionIds.add(session.id));
+    } else if (members.some(session => view.matchedSessionIds.has(session.id))) {
+      view.visibleFolderIds.add(smartFolder.id);
+      view.expandedFolderIds.add(smartFolder.id);
+    }
+  }
+
+  return view;
+}
+
+/**
+ * Check whether a folder or smart folder is expanded, counting filter-only expansion and
+ * folders opened to reveal the active session
+ */
+function isFolderExpanded(folderId) {
+  return expandedFolders.has(folderId) || revealedFolderIds.has(folderId)
+    || (!!searchView && searchView.expandedFolderIds.has(folderId));
+}
+
+/**
+ * Render a session row in the sidebar tree
+ */
+function renderSessionRow(session, className, paddingLeft = null, key = null, aria = null) {
+  const isSelected = selectedSessionIds.has(session.id);
+  const isActive = session.id === activeSessionId;
+  return `
+    <div class="${className} flex items-center gap-2 px-2 py-1.5 rounded cursor-pointer select-none outline-none focus-visible:ring-1 focus-visible:ring-accent/60 ${isSelected ? 'bg-accent/15' : 'hover:bg-white/5'}"
+         ${paddingLeft !== null ? `style="padding-left: ${paddingLeft}px"` : ''}
+         ${aria ? treeItemAttrs({ ...aria, selected: isSelected }) : ''}
+         draggable="true"
+         title="Click to open, double-click to connect"
+         ${key !== null ? `data-key="${escapeAttr(key)}"` : ''}
+         ${className === 'session-item' ? 'data-uncategorized="true"' : ''}
+         data-session-id="${escapeAttr(session.id)}"
+         ${isSelected ? 'data-selected="true"' : ''}
+         ${isActive ? 'data-active="true"' : ''}>
+      <span class="text-accent">
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect>
+          <line x1="8" y1="21" x2="16" y2="21"></line>
+          <line x1="12" y1="17" x2="12" y2="21"></line>
+        </svg>
+      </span>
+      <span class="text-xs ${isActive ? 'text-accent font-medium' : 'text-text'} truncate">${highlightMatch(session.name || session.id)}</span>
+      ${searchView && searchHosts && session.host && matchesSearch(session.host)
+        ? `<span class="text-[10px] text-text-muted truncate">${highlightMatch(session.host)}</span>`
+        : ''}
+      ${renderTagChips(session.id)}
+    </div>
+  `;
+}
+
+/**
+ * Build the WAI-ARIA attributes of a tree row: { level, posinset, setsize, expanded?, selected? }.
+ * Rows start out of the Tab order; updateRovingTabindex puts one back.
+ */
+function treeItemAttrs({ level, posinset, setsize, expanded, selected }) {
+  return `role="treeitem" tabindex="-1" aria-level="${level}" aria-posinset="${posinset}" aria-setsize="${setsize}"`
+    + (expanded !== undefined ? ` aria-expanded="${expanded}"` : '')
+    + (selected !== undefined ? ` aria-selected="${selected}"` : '');
+}
+
+/**
+ * Render the tag chips shown after a session name
+ */
+function renderTagChips(sessionId) {
+  const sessionTagList = getSessionTags(sessionId);
+  if (sessionTagList.length === 0) return '';
+  return `<span class="session-tags ml-auto flex items-center gap-1 shrink-0">${sessionTagList.map(tag => `
+    <span class="px-1 rounded text-[9px] leading-[14px]"
+          style="color: ${escapeAttr(tag.color)}; background-color: ${escapeAttr(tag.color)}22"
+          title="Tag: ${escapeAttr(tag.name)}">${escapeHtml(tag.name)}</span>`).join('')}
+  </span>`;
+}
+
+/**
+ * Render a smart folder header row
+ */
+function renderSmartFolderRow(smartFolder, isExpanded, hasContent, count, aria) {
+  return `
+    <div class="smart-folder-item smart-folder-header flex items-center gap-2 px-2 py-1.5 rounded hover:bg-white/5 cursor-pointer group outline-none focus-visible:ring-1 focus-visible:ring-accent/60"
+         ${treeItemAttrs({ ...aria, expanded: hasContent ? isExpanded : undefined })}
+         data-key="smart:${escapeAttr(smartFolder.id)}"
+         data-smart-folder-id="${escapeAttr(smartFolder.id)}" title="Smart folder">
+      <span class="expand-icon text-text-muted transition-transform ${isExpanded ? 'rotate-90' : ''}" style="width: 12px">
+        ${hasContent ? `<svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="9 18 15 12 9 6"></polyline>
+        </svg>` : ''}
+      </span>
+      <span class="folder-icon" style="color: ${escapeAttr(smartFolder.color)}">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"></polygon>
+        </svg>
+      </span>
+      <span class="flex-1 text-xs font-medium text-text truncate italic">${highlightMatch(smartFolder.name)}</span>
+      <span class="folder-count text-[10px] text-text-muted">${count}</span>
+    </div>
+  `;
+}
+
+/**
+ * Render a folder header row
+ */
+function renderFolderRow(folder, depth, isExpanded, hasContent, count, aria) {
+  return `
+    <div class="folder-item folder-header flex items-center gap-2 px-2 py-1.5 rounded hover:bg-white/5 cursor-pointer group outline-none focus-visible:ring-1 focus-visible:ring-accent/60"
+         style="padding-left: ${depth * 12 + 8}px"
+         ${treeItemAttrs({ ...aria, level: depth + 1, expanded: hasContent ? isExpanded : undefined })}
+         draggable="${folder.shared ? 'false' : 'true'}"
+         data-key="folder:${escapeAttr(folder.id)}"
+         data-folder-id="${escapeAttr(folder.id)}">
+      <span class="expand-icon text-text-muted transition-transform ${isExpanded ? 'rotate-90' : ''}" style="width: 12px">
+        ${hasContent ? `<svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="9 18 15 12 9 6"></polyline>
+        </svg>` : ''}
+      </span>
+      <span class="folder-icon" style="color: ${escapeAttr(folder.color)}">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" stroke="none">
+          <path d="M3 7v13h18V7H3zm0-2h7l2 2h9v2H3V5z"/>
+        </svg>
+      </span>
+      <span class="flex-1 text-xs font-medium text-text truncate">${highlightMatch(folder.name)}</span>
+      <span class="folder-count text-[10px] text-text-muted">${count}</span>
+      ${folder.shared ? `<span class="shared-folder-badge p-1 text-text-muted" title="Shared team folder (read-only)">
+        <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="5" y="11" width="14" height="10" rx="2"></rect>
+          <path d="M8 11V7a4 4 0 0 1 8 0v4"></path>
+        </svg>
+      </span>` : `<button class="delete-folder-btn opacity-0 group-hover:opacity-100 p-1 rounded hover:bg-error/20 text-text-muted hover:text-error transition-all"
+              data-folder-id="${escapeAttr(folder.id)}" title="Delete folder (Delete)" tabindex="-1" aria-hidden="true">
+        <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="18" y1="6" x2="6" y2="18"></line>
+          <line x1="6" y1="6" x2="18" y2="18"></line>
+        </svg>
+      </button>`}
+    </div>
+  `;
+}
+
+/**
+ * Add the rows of a folder and, when expanded, its contents (recursive).
+ * position is the folder's { posinset, setsize } among its siblings.
+ */
+function addFolderRows(rows, folder, index, depth, position, parentKey = null) {
+  const isExpanded = isFolderExpanded(folder.id);
+  const allSessions = index.sessionsByFolder.get(folder.id) || [];
+  const folderSessions = searchView ? allSessions.filter(s => searchView.visibleSessionIds.has(s.id)) : allSessions;
+  const childFolders = (index.childFolders.get(folder.id) || [])
+    .filter(f => !searchView || searchView.visibleFolderIds.has(f.id));
+  const hasContent = folderSessions.length > 0 || childFolders.length > 0;
+
+  const key = `folder:${folder.id}`;
+  rows.push({
+    key,
+    folderId: folder.id,
+    parentKey,
+    level: depth + 1,
+    expanded: hasContent ? isExpanded : undefined,
+    label: folder.name,
+    render: () => renderFolderRow(folder, depth, isExpanded, hasContent, allSessions.length, position),
+  });
+  if (!isExpanded) return;
+
+  const setsize = childFolders.length + folderSessions.length;
+  orderFolderContents(childFolders, folderSessions, index.sorts.get(folder.id), index).forEach((entry, i) => {
+    if (entry.folder) {
+      addFolderRows(rows, entry.folder, index, depth + 1, { posinset: i + 1, setsize }, key);
+      return;
+    }
+    const session = entry.session;
+    const sessionKey = `session:${folder.id}:${session.id}`;
+    const aria = { level: depth + 2, posinset: i + 1, setsize };
+    rows.push({
+      key: sessionKey,
+      sessionId: session.id,
+      parentKey: key,
+      level: aria.level,
+      label: session.name || session.id,
+      render: () => renderSessionRow(session, 'session-in-folder', (depth + 1) * 12 + 8, sessionKey, aria),
+    });
+  });
+}
+
+/**
+ * Flatten the sidebar tree into keyed rows, in display order. Rows that can take keyboard
+ * focus carry their place in the tree: level, parentKey, expanded (undefined when the row
+ * cannot expand) and the label used for type-ahead. Each row's markup comes from its
+ * render(), which is only called for the rows that are actually put on screen.
+ */
+function buildTreeRows(sessions) {
+  const index = getTreeIndex();
+  const rows = [];
+
+  const rootFolders = (index.childFolders.get(null) || [])
+    .filter(f => !searchView || searchView.visibleFolderIds.has(f.id));
+  const shownSmartFolders = smartFolders.filter(f => !searchView || searchView.visibleFolderIds.has(f.id));
+  const unfolderedSessions = (index.sessionsByFolder.get(null) || [])
+    .filter(s => !searchView || searchView.visibleSessionIds.has(s.id));
+  const rootCount = rootFolders.length + shownSmartFolders.length + (folders.length > 0 && unfolderedSessions.length > 0 ? 1 : 0);
+
+  // Root folders (no parent)
+  rootFolders.forEach((folder, i) => {
+    addFolderRows(rows, folder, index, 0, { posinset: i + 1, setsize: rootCount });
+  });
+
+  // Smart folders after the manual hierarchy. Their members come from any folder, so
+  // under a manual sort they keep the session list order.
+  const rootMode = index.sorts.get(null).mode;
+  shownSmartFolders.forEach((smartFolder, i) => {
+    const isExpanded = isFolderExpanded(smartFolder.id);
+    const members = getSmartFolderSessions(smartFolder, sessions);
+    if (rootMode !== 'manual') members.sort((a, b) => compareSortKeys(rootMode, index.sessionKeys.get(a.id), index.sessionKeys.get(b.id)));
+    const shown = searchView ? members.filter(s => searchView.visibleSessionIds.has(s.id)) : members;
+    const smartKey = `smart:${smartFolder.id}`;
+    rows.push({
+      key: smartKey,
+      smartFolderId: smartFolder.id,
+      level: 1,
+      expanded: shown.length > 0 ? isExpanded : undefined,
+      label: smartFolder.name,
+      render: () => renderSmartFolderRow(smartFolder, isExpanded, shown.length > 0, members.length,
+        { level: 1, posinset: rootFolders.length + i + 1, setsize: rootCount }),
+    });
+    if (!isExpanded) return;
+    shown.forEach((session, j) => {
+      const key = `session:${smartFolder.id}:${session.id}`;
+      const aria = { level: 2, posinset: j + 1, setsize: shown.length };
+      rows.push({
+        key,
+        sessionId: session.id,
+        parentKey: smartKey,
+        level: 2,
+        label: session.name || session.id,
+        render: () => renderSessionRow(session, 'session-in-folder', 20, key, aria),
+      });
+    });
+  });
+
+  if (searchView && rows.length === 0 && unfolderedSessions.length === 0) {
+    return [{ key: 'empty', render: () => '<div class="text-xs text-text-muted text-center py-2 opacity-60" data-key="empty">No matches</div>' }];
+  }
+  if (folders.length === 0 && smartFolders.length === 0) {
+    return [{ key: 'empty', render: () => '<div class="text-xs text-text-muted text-center py-2 opacity-60" data-key="empty">No folders yet</div>' }];
+  }
+
+  // Sessions without a folder go under "Uncategorized" if there are folders.
+  // The header row stays (hidden) when empty so it can act as a drop zone.
+  if (folders.length > 0) {
+    const isEmpty = unfolderedSessions.length === 0;
+    rows.push({
+      key: 'uncategorized',
+      height: UNCATEGORIZED_ROW_HEIGHT,
+      ...(isEmpty ? {} : { level: 1, label: 'Uncategorized' }),
+      render: () => `
+        <div class="uncategorized-section mt-2 pt-2 border-t border-surface-0/30 rounded outline-none focus-visible:ring-1 focus-visible:ring-accent/60" data-key="uncategorized" data-uncategorized="true"
+             ${isEmpty ? 'data-empty="true" style="display: none"' : treeItemAttrs({ level: 1, posinset: rootCount, setsize: rootCount })}>
+          <div class="text-[10px] text-text-muted uppercase tracking-wider px-2 py-1">Uncategorized</div>
+        </div>
+      `,
+    });
+    unfolderedSessions.forEach((session, i) => {
+      const key = `session::${session.id}`;
+      const aria = { level: 2, posinset: i + 1, setsize: unfolderedSessions.length };
+      rows.push({
+        key,
+        sessionId: session.id,
+        parentKey: 'uncategorized',
+        level: 2,
+        label: session.name || session.id,
+        render: () => renderSessionRow(session, 'session-item', null, key, aria),
+      });
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Find the element the sidebar tree scrolls in (null = the window)
+ */
+function getScrollParent(el) {
+  for (let node = el.parentElement; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+    const overflowY = getComputedStyle(node).overflowY;
+    if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) return node;
+  }
+  return null;
+}
+
+/**
+ * Work out which rows are on screen when the tree is long enough to virtualize.
+ * Returns null when every row should be rendered.
+ */
+function getVirtualWindow(listEl, rows) {
+  if (rows.length <= VIRTUALIZE_THRESHOLD) return null;
+
+  let top = 0;
+  const offsets = rows.map(row => {
+    const offset = top;
+    top += row.height || TREE_ROW_HEIGHT;
+    return offset;
+  });
+
+  const listTop = listEl.getBoundingClientRect().top;
+  const viewTop = treeScroller ? treeScroller.getBoundingClientRect().top : 0;
+  const viewHeight = treeScroller ? treeScroller.clientHeight : window.innerHeight;
+  const overscan = VIRTUAL_OVERSCAN * TREE_ROW_HEIGHT;
+  const from = viewTop - listTop - overscan;
+  const to = viewTop - listTop + viewHeight + overscan;
+
+  let start = 0;
+  while (start < rows.length - 1 && offsets[start + 1] <= from) start++;
+  let end = start;
+  while (end < rows.length && offsets[end] < to) end++;
+
+  return {
+    start,
+    end,
+    offsets,
+    before: offsets[start],
+    after: top - (end < rows.length ? offsets[end] : top),
+  };
+}
+
+/**
+ * Bring the DOM in line with the rows: rows whose markup is unchanged keep their element,
+ * changed rows are replaced, and only out-of-place elements are moved. Long trees only
+ * get the rows near the visible area, between two spacers.
+ */
+function patchTreeRows(listEl, rows) {
+  let topSpacer = listEl.querySelector(':scope > .tree-spacer-top');
+  let bottomSpacer = listEl.querySelector(':scope > .tree-spacer-bottom');
+  if (!topSpacer) {
+    listEl.textContent = '';
+    topSpacer = document.createElement('div');
+    topSpacer.className = 'tree-spacer-top';
+    topSpacer.setAttribute('aria-hidden', 'true');
+    bottomSpacer = document.createElement('div');
+    bottomSpacer.className = 'tree-spacer-bottom';
+    bottomSpacer.setAttribute('aria-hidden', 'true');
+    listEl.appendChild(topSpacer);
+    listEl.appendChild(bottomSpacer);
+  }
+  // Replacing or moving the focused row drops its focus; it is given back below
+  const hadFocus = listEl.contains(document.activeElement);
+
+  const virtual = getVirtualWindow(listEl, rows);
+  const visible = virtual ? rows.slice(virtual.start, virtual.end) : rows;
+  topSpacer.style.height = virtual ? `${virtual.before}px` : '';
+  bottomSpacer.style.height = virtual ? `${virtual.after}px` : '';
+
+  const existing = new Map();
+  for (let node = topSpacer.nextElementSibling; node && node !== bottomSpacer; node = node.nextElementSibling) {
+    existing.set(node.dataset.key, node);
+  }
+
+  let cursor = topSpacer.nextElementSibling;
+  for (const row of visible) {
+    let node = existing.get(row.key);
+    existing.delete(row.key);
+    const html = row.render();
+    if (!node || renderedRowHtml.get(node) !== html) {
+      const template = document.createElement('template');
+      template.innerHTML = html.trim();
+      const fresh = template.content.firstElementChild;
+      renderedRowHtml.set(fresh, html);
+      if (node) node.replaceWith(fresh);
+      if (node === cursor) cursor = fresh;
+      node = fresh;
+    }
+    node.style.height = virtual ? `${row.height || TREE_ROW_HEIGHT}px` : '';
+    if (node === cursor) {
+      cursor = cursor.nextElementSibling;
+    } else {
+      listEl.insertBefore(node, cursor);
+    }
+  }
+  existing.forEach(node => node.remove());
+  updateRovingTabindex(listEl, hadFocus && !listEl.contains(document.activeElement));
+}
+
+/**
+ * Keep exactly one sidebar tree row in the Tab order (roving tabindex): the focused row,
+ * or the first rendered one while it is scrolled out of a long tree.
+ * With refocus, moves DOM focus back onto the focused row after a re-render replaced it.
+ */
+function updateRovingTabindex(listEl, refocus = false) {
+  listEl.querySelectorAll('[role="treeitem"][tabindex="0"]').forEach(node => {
+    if (node.dataset.key !== focusedTreeKey) node.tabIndex = -1;
+  });
+  const node = (focusedTreeKey && listEl.querySelector(`[role="treeitem"][data-key="${escapeAttr(focusedTreeKey)}"]`))
+    || listEl.querySelector('[role="treeitem"]');
+  if (!node) return;
+  node.tabIndex = 0;
+  if (refocus && node.dataset.key === focusedTreeKey) node.focus({ preventScroll: true });
+}
+
+/**
+ * Point the roving focus at a row that still exists after a re-render: the same row,
+ * otherwise the row now at its old position
+ */
+function retargetTreeFocus(previousRows) {
+  const focusable = treeRows.filter(row => row.level);
+  if (focusable.length === 0 || focusable.some(row => row.key === focusedTreeKey)) return;
+  const oldIndex = previousRows.filter(row => row.level).findIndex(row => row.key === focusedTreeKey);
+  focusedTreeKey = oldIndex === -1 ? null : focusable[Math.min(oldIndex, focusable.length - 1)].key;
+}
+
+/**
+ * Re-render only the rows near the visible area of a long tree, e.g. after scrolling
+ */
+function renderTreeWindow() {
+  treeScrollFrame = null;
+  if (!containerElement || treeRows.length <= VIRTUALIZE_THRESHOLD) return;
+  const listEl = containerElement.querySelector('.folders-list');
+  if (listEl) patchTreeRows(listEl, treeRows);
+}
+
+/**
+ * Follow scrolling of whatever element the tree scrolls in
+ */
+function watchTreeScroll(listEl) {
+  const scroller = getScrollParent(listEl);
+  if (treeScrollWatched && scroller === treeScroller) return;
+  unwatchTreeScroll();
+  treeScroller = scroller;
+  treeScrollWatched = true;
+  (treeScroller || window).addEventListener('scroll', scheduleTreeWindow, { passive: true });
+  window.addEventListener('resize', scheduleTreeWindow);
+}
+
+/**
+ * Stop following tree scrolling
+ */
+function unwatchTreeScroll() {
+  if (!treeScrollWatched) return;
+  (treeScroller || window).removeEventListener('scroll', scheduleTreeWindow);
+  window.removeEventListener('resize', scheduleTreeWindow);
+  if (treeScrollFrame) cancelAnimationFrame(treeScrollFrame);
+  treeScrollFrame = null;
+  treeScroller = null;
+  treeScrollWatched = false;
+}
+
+/**
+ * Re-render the visible rows on the next frame
+ */
+function scheduleTreeWindow() {
+  if (!treeScrollFrame) treeScrollFrame = requestAnimationFrame(renderTreeWindow);
+}
+
+/**
+ * Scroll a session row into view, even when it is outside the rendered window
+ */
+function revealSessionRow(sessionId) {
+  const row = treeRows.find(r => r.sessionId === sessionId);
+  if (row) revealTreeRow(row.key);
+}
+
+/**
+ * Scroll a tree row into view, rendering it first when it is outside the rendered window
+ */
+function revealTreeRow(key) {
+  if (!containerElement) return;
+  const listEl = containerElement.querySelector('.folders-list');
+  const index = treeRows.findIndex(row => row.key === key);
+  if (!listEl || index === -1) return;
+
+  const node = listEl.querySelector(`[data-key="${escapeAttr(treeRows[index].key)}"]`);
+  if (node) {
+    node.scrollIntoView({ block: 'nearest' });
+    return;
+  }
+
+  const offset = treeRows.slice(0, index).reduce((sum, row) => sum + (row.height || TREE_ROW_HEIGHT), 0);
+  const listTop = listEl.getBoundingClientRect().top;
+  if (treeScroller) {
+    treeScroller.scrollTop += listTop - treeScroller.getBoundingClientRect().top + offset - treeScroller.clientHeight / 2;
+  } else {
+    window.scrollBy(0, listTop + offset - window.innerHeight / 2);
+  }
+  renderTreeWindow();
+}
+
+/**
+ * Render the folders tree
+ */
+function renderList() {
+  if (!containerElement) return;
+  if (deferRender(renderList)) return;
+
+  const listEl = containerElement.querySelector('.folders-list');
+  if (!listEl) return;
+
+  // Get all sessions from the app
+  const sessions = api.getAllSessions();
+  pruneSelection(sessions);
+  searchView = getSearchView(sessions);
+
+  const previousRows = treeRows;
+  treeRows = buildTreeRows(sessions);
+  retargetTreeFocus(previousRows);
+  if (treeRows.length > VIRTUALIZE_THRESHOLD) watchTreeScroll(listEl);
+  patchTreeRows(listEl, treeRows);
+  renderSelectionBar();
+}
+
+/**
+ * Handle clicks, double-clicks and right-clicks on the sidebar tree rows.
+ * Listeners live on the list itself, so rows can change without re-attaching anything.
+ */
+function attachTreeEvents(listEl) {
+  listEl.addEventListener('click', (e) => {
+    const deleteBtn = e.target.closest('.delete-folder-btn');
+    if (deleteBtn) {
+      e.stopPropagation();
+      const folder = folders.find(f => f.id === deleteBtn.dataset.folderId);
+      if (folder) confirmDeleteFolder(folder);
+      return;
+    }
+
+    const folderHeader = e.target.closest('.folder-header');
+    if (folderHeader) {
+      toggleFolder(folderHeader.dataset.folderId);
+      return;
+    }
+
+    const smartHeader = e.target.closest('.smart-folder-header');
+    if (smartHeader) {
+      toggleFolder(smartHeader.dataset.smartFolderId);
+      return;
+    }
+
+    // Session rows: click selects and opens, Ctrl/Cmd-click toggles, Shift-click selects a range
+    const sessionRow = e.target.closest('[data-session-id]');
+    if (sessionRow) handleSessionRowClick(e, sessionRow.dataset.sessionId);
+  });
+
+  // Double-click connects
+  listEl.addEventListener('dblclick', (e) => {
+    const sessionRow = e.target.closest('[data-session-id]');
+    if (!sessionRow || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    connectSessionOrNotify(sessionRow.dataset.sessionId);
+  });
+
+  // Context menus for folders, smart folders and sessions
+  listEl.addEventListener('contextmenu', (e) => {
+    const folderHeader = e.target.closest('.folder-header');
+    const smartHeader = e.target.closest('.smart-folder-header');
+    const sessionRow = e.target.closest('[data-session-id]');
+    if (!folderHeader && !smartHeader && !sessionRow) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (folderHeader) {
+      const folder = folders.find(f => f.id === folderHeader.dataset.folderId);
+      if (folder) showFolderContextMenu(folder, e.clientX, e.clientY);
+    } else if (smartHeader) {
+      const smartFolder = smartFolders.find(f => f.id === smartHeader.dataset.smartFolderId);
+      if (smartFolder) showSmartFolderContextMenu(smartFolder, e.clientX, e.clientY);
+    } else {
+      showSessionContextMenu(sessionRow.dataset.sessionId, e.clientX, e.clientY);
+    }
+  });
+
+  // Keyboard navigation on the focused row (WAI-ARIA tree pattern)
+  listEl.addEventListener('keydown', (e) => {
+    const node = e.target.closest('[role="treeitem"]');
+    if (node && node === e.target) handleTreeKeydown(e, node.dataset.key);
+  });
+  listEl.addEventListener('focusin', (e) => {
+    const node = e.target.closest('[role="treeitem"]');
+    if (!node || node.dataset.key === focusedTreeKey) return;
+    focusedTreeKey = node.dataset.key;
+    updateRovingTabindex(listEl);
+  });
+
+  attachDragAndDrop(listEl);
+}
+
+/**
+ * Work out where a key press moves the focus in a tree: Up/Down, Home/End, Right to expand
+ * or enter a folder, Left to collapse or go to the parent, and type-ahead on the labels.
+ * items are { key, parentKey, expanded, label } in display order, expanded being undefined
+ * for rows that cannot expand. Returns { focus }, { expand } or { collapse } with a row key,
+ * or null when the key is not for navigation.
+ */
+function getTreeNavigation(e, items, currentKey, typeAhead) {
+  if (items.length === 0 || e.altKey) return null;
+  const index = Math.max(0, items.findIndex(item => item.key === currentKey));
+  const current = items[index];
+
+  switch (e.key) {
+    case 'ArrowDown':
+      return { focus: items[Math.min(index + 1, items.length - 1)].key };
+    case 'ArrowUp':
+      return { focus: items[Math.max(index - 1, 0)].key };
+    case 'Home':
+      return { focus: items[0].key };
+    case 'End':
+      return { focus: items[items.length - 1].key };
+    case 'ArrowRight': {
+      if (current.expanded === false) return { expand: current.key };
+      const next = items[index + 1];
+      return { focus: current.expanded && next && next.parentKey === current.key ? next.key : current.key };
+    }
+    case 'ArrowLeft':
+      if (current.expanded) return { collapse: current.key };
+      return { focus: current.parentKey && items.some(item => item.key === current.parentKey) ? current.parentKey : current.key };
+    default:
+      break;
+  }
+
+  // Type-ahead: printable keys jump to the next row starting with the typed text
+  // (Space only counts while a search is under way)
+  if (e.key.length !== 1 || e.ctrlKey || e.metaKey) return null;
+  const now = Date.now();
+  const continued = now - typeAhead.at < TYPE_AHEAD_TIMEOUT;
+  if (e.key === ' ' && !continued) return null;
+  typeAhead.text = (continued ? typeAhead.text : '') + e.key.toLowerCase();
+  typeAhead.at = now;
+  const start = typeAhead.text.length > 1 ? index : index + 1;
+  for (let i = 0; i < items.length; i++) {
+    const item = items[(start + i) % items.length];
+    if (item.label.toLowerCase().startsWith(typeAhead.text)) return { focus: item.key };
+  }
+  return { focus: current.key };
+}
+
+/**
+ * Move keyboard focus to a sidebar tree row, scrolling it into view first
+ */
+function focusTreeRow(key) {
+  const listEl = containerElement && containerElement.querySelector('.folders-list');
+  if (!listEl) return;
+  focusedTreeKey = key;
+  revealTreeRow(key);
+  updateRovingTabindex(listEl);
+  const node = listEl.querySelector(`[role="treeitem"][data-key="${escapeAttr(key)}"]`);
+  if (node) node.focus();
+}
+
+/**
+ * Handle a key press on a focused sidebar tree row: navigation, Enter to open a session
+ * (Ctrl/Cmd+Enter to connect) or toggle a folder, Space to toggle the selection,
+ * Shift+Up/Down to extend it, Delete to take sessions out of their folder, Shift+F10 or
+ * the menu key for the context menu, and the folder keys of handleFolderRowKey
+ */
+function handleTreeKeydown(e, key) {
+  const row = treeRows.find(r => r.key === key);
+  if (!row) return;
+  const folder = row.folderId ? folders.find(f => f.id === row.folderId) : null;
+  const smartFolder = row.smartFolderId ? smartFolders.find(f => f.id === row.smartFolderId) : null;
+
+  const move = getTreeNavigation(e, treeRows.filter(r => r.level), key, treeTypeAhead);
+  if (move) {
+    e.preventDefault();
+    const toggleId = row.folderId || row.smartFolderId;
+    if ((move.expand || move.collapse) && toggleId) {
+      // Folders only opened by the filter cannot be collapsed; go to the parent instead
+      if (move.collapse && !expandedFolders.has(toggleId) && !revealedFolderIds.has(toggleId)) {
+        if (row.parentKey) focusTreeRow(row.parentKey);
+        return;
+      }
+      toggleFolder(toggleId);
+      return;
+    }
+    const target = treeRows.find(r => r.key === move.focus);
+    if (e.shiftKey && (e.key === 'ArrowDown' || e.key === 'ArrowUp') && target && target.sessionId) {
+      if (!selectionAnchorId) selectionAnchorId = row.sessionId || target.sessionId;
+      selectSessionRange(target.sessionId);
+    }
+    focusTreeRow(move.focus);
+    return;
+  }
+
+  if ((folder || smartFolder) && handleFolderRowKey(e, folder, smartFolder)) {
+    e.preventDefault();
+    return;
+  }
+
+  switch (e.key) {
+    case 'Enter':
+      if (row.sessionId && (e.ctrlKey || e.metaKey)) {
+        connectSessionOrNotify(row.sessionId);
+      } else if (row.sessionId) {
+        setSessionSelection([row.sessionId], row.sessionId);
+        openSessionOrNotify(row.sessionId);
+      } else if (row.expanded !== undefined) {
+        toggleFolder(row.folderId || row.smartFolderId);
+      }
+      break;
+    case ' ':
+      if (!row.sessionId) return;
+      toggleSessionSelection(row.sessionId);
+      break;
+    case 'ArrowUp':
+    case 'ArrowDown':
+      if (!e.altKey || (!row.sessionId && !folder)) return;
+      moveTreeRow(row, folder, e.key === 'ArrowUp' ? -1 : 1);
+      break;
+    case 'Delete': {
+      if (!row.sessionId) return;
+      const ids = selectedSessionIds.has(row.sessionId) ? [...selectedSessionIds] : [row.sessionId];
+      moveSessionsToFolder(ids, null).then(moved => {
+        if (moved > 0) showUndoToast(`Removed ${moved} session(s) from their folders`);
+      });
+      break;
+    }
+    case 'F10':
+    case 'ContextMenu': {
+      if (!row.sessionId || (e.key === 'F10' && !e.shiftKey)) return;
+      const rect = e.target.getBoundingClientRect();
+      showSessionContextMenu(row.sessionId, rect.left + 16, rect.bottom);
+      break;
+    }
+    default:
+      return;
+  }
+  e.preventDefault();
+}
+
+/**
+ * Move a session or folder row one place up or down among its siblings (Alt+Up/Down).
+ * Only works where the siblings are sorted manually.
+ */
+function moveTreeRow(row, folder, step) {
+  let parentId;
+  if (folder) parentId = folder.parentId || null;
+  else if (row.parentKey === 'uncategorized') parentId = null;
+  else if (row.parentKey && row.parentKey.startsWith('folder:')) parentId = row.parentKey.slice('folder:'.length);
+  else return; // Smart folder members have no order of their own
+  if (folder && folder.shared) {
+    api.showNotification(`"${folder.name}" belongs to the shared team layout and cannot be moved`, 'info');
+    return;
+  }
+  if (getEffectiveSort(parentId).mode !== 'manual') {
+    api.showNotification('Set this folder to manual sorting (right-click > Sort…) to reorder it', 'info');
+    return;
+  }
+
+  const index = getTreeIndex();
+  if (folder) {
+    const siblings = (index.childFolders.get(parentId) || []).filter(f => !f.shared);
+    const position = siblings.indexOf(folder) + step;
+    if (position >= 0 && position < siblings.length) moveFolder(folder.id, parentId, position);
+    return;
+  }
+  const siblings = index.sessionsByFolder.get(parentId) || [];
+  const position = siblings.findIndex(s => s.id === row.sessionId);
+  const neighbour = position < 0 ? null : siblings[position + step];
+  if (neighbour) placeSessions([row.sessionId], parentId, neighbour.id, step < 0 ? 'before' : 'after');
+}
+
+/**
+ * Handle F2 (rename), Delete and the context menu keys (Shift+F10, menu key) on a folder
+ * or smart folder row, in the sidebar tree or the home panel. Returns true when the key was used.
+ */
+function handleFolderRowKey(e, folder, smartFolder) {
+  const isMenuKey = e.key === 'ContextMenu' || (e.key === 'F10' && e.shiftKey);
+  if (e.key !== 'F2' && e.key !== 'Delete' && !isMenuKey) return false;
+
+  if (isMenuKey) {
+    const rect = e.target.getBoundingClientRect();
+    if (folder) showFolderContextMenu(folder, rect.left + 16, rect.bottom);
+    else showSmartFolderContextMenu(smartFolder, rect.left + 16, rect.bottom);
+  } else if (folder && folder.shared) {
+    api.showNotification(`"${folder.name}" belongs to the shared team layout and cannot be ${e.key === 'F2' ? 'renamed' : 'deleted'}`, 'info');
+  } else if (e.key === 'F2') {
+    if (folder) showRenameFolderPrompt(folder);
+    else showSmartFolderEditor(smartFolder);
+  } else if (folder) {
+    confirmDeleteFolder(folder);
+  } else {
+    confirmDeleteSmartFolder(smartFolder);
+  }
+  return true;
+}
+
+/**
+ * Drop selected sessions that no longer exist
+ */
+function pruneSelection(sessions) {
+  if (selectedSessionIds.size === 0) return;
+  const live = new Set(sessions.map(s => s.id));
+  for (const id of selectedSessionIds) {
+    if (!live.has(id)) selectedSessionIds.delete(id);
+  }
+  if (selectionAnchorId && !live.has(selectionAnchorId)) selectionAnchorId = null;
+}
+
+/**
+ * Replace the sidebar selection and re-render
+ */
+function setSessionSelection(sessionIds, anchorId = selectionAnchorId) {
+  selectedSessionIds = new Set(sessionIds);
+  selectionAnchorId = anchorId;
+  renderList();
+}
+
+/**
+ * Select the sessions from the selection anchor to a session, keeping the current
+ * selection when additive. Returns false when there is no anchor row to start from.
+ */
+function selectSessionRange(sessionId, additive = false) {
+  if (!selectionAnchorId) return false;
+  // Range over the rows in display order (including rows scrolled out of a long tree);
+  // sessions shown twice (smart folders) count once
+  const rowIds = treeRows.filter(row => row.sessionId).map(row => row.sessionId);
+  const from = rowIds.indexOf(selectionAnchorId);
+  const to = rowIds.indexOf(sessionId);
+  if (from === -1 || to === -1) return false;
+  const range = rowIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+  setSessionSelection([...(additive ? selectedSessionIds : []), ...range]);
+  return true;
+}
+
+/**
+ * Add a session to the selection or take it out, making it the new range anchor
+ */
+function toggleSessionSelection(sessionId) {
+  const next = new Set(selectedSessionIds);
+  if (next.has(sessionId)) next.delete(sessionId);
+  else next.add(sessionId);
+  setSessionSelection(next, sessionId);
+}
+
+/**
+ * Update the selection for a click on a session row
+ */
+function handleSessionRowClick(e, sessionId) {
+  if (e.shiftKey && selectSessionRange(sessionId, e.ctrlKey || e.metaKey)) return;
+
+  if (e.ctrlKey || e.metaKey) {
+    toggleSessionSelection(sessionId);
+    return;
+  }
+
+  // The first click of a double-click already opened the session; the dblclick connects it
+  if (e.detail > 1) return;
+  setSessionSelection([sessionId], sessionId);
+  openSessionOrNotify(sessionId);
+}
+
+/**
+ * Select every existing session in a folder and its sub-folders
+ */
+function selectAllInFolder(folderId) {
+  const ids = getSessionIdsInFolder(folderId, true);
+  setSessionSelection(ids, ids[0] || null);
+}
+
+/**
+ * Open the first session the sidebar filter matched, in display order
+ */
+function openFirstSearchMatch() {
+  if (!searchView) return;
+  const sessionRows = treeRows.filter(row => row.sessionId);
+  const row = sessionRows.find(r => searchView.matchedSessionIds.has(r.sessionId)) || sessionRows[0];
+  if (!row) return;
+  const sessionId = row.sessionId;
+  setSessionSelection([sessionId], sessionId);
+  openSessionOrNotify(sessionId);
+}
+
+/**
+ * Clear the sidebar selection
+ */
+function clearSessionSelection() {
+  if (selectedSessionIds.size === 0) return;
+  setSessionSelection([], null);
+}
+
+/**
+ * Show the selection count and bulk actions above the tree
+ */
+function renderSelectionBar() {
+  const bar = containerElement && containerElement.querySelector('.folders-selection-bar');
+  if (!bar) return;
+
+  const count = selectedSessionIds.size;
+  bar.style.display = count > 0 ? '' : 'none';
+  if (count === 0) return;
+
+  const filedCount = [...selectedSessionIds].filter(id => sessionFolders[id]).length;
+  bar.querySelector('.selection-count').textContent = `${count} selected`;
+  bar.querySelector('.selection-remove-btn').disabled = filedCount === 0;
+}
+
+/**
+ * Move the selected sessions to a folder picked by the user
+ */
+async function moveSelectedSessions() {
+  const ids = [...selectedSessionIds];
+  if (ids.length === 0) return;
+
+  const currentIds = new Set(ids.map(id => sessionFolders[id] || null));
+  const folderId = await showFolderPicker({
+    title: `Move ${ids.length} session(s) to folder`,
+    currentId: currentIds.size === 1 ? [...currentIds][0] : undefined,
+  });
+  if (folderId === undefined) return;
+
+  const moved = await moveSessionsToFolder(ids, folderId);
+  if (moved > 0) {
+    const target = folderId ? `"${getFolderPathLabel(folderId)}"` : 'Uncategorized';
+    showUndoToast(`Moved ${moved} session(s) to ${target}`);
+  }
+}
+
+/**
+ * Take the selected sessions out of their folders
+ */
+async function removeSelectedFromFolders() {
+  const moved = await moveSessionsToFolder([...selectedSessionIds], null);
+  if (moved > 0) showUndoToast(`Removed ${moved} session(s) from their folders`);
+}
+
+/**
+ * Create an SVG icon element using safe DOM methods
+ */
+function createSvgIcon(type, size) {
+  var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('width', String(size || 13));
+  svg.setAttribute('height', String(size || 13));
+  svg.setAttribute('viewBox', '0 0 24 24');
+
+  if (type === 'list') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var lines = [
+      ['8','6','21','6'], ['8','12','21','12'], ['8','18','21','18'],
+      ['3','6','3.01','6'], ['3','12','3.01','12'], ['3','18','3.01','18'],
+    ];
+    lines.forEach(function(coords) {
+      var line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      line.setAttribute('x1', coords[0]); line.setAttribute('y1', coords[1]);
+      line.setAttribute('x2', coords[2]); line.setAttribute('y2', coords[3]);
+      svg.appendChild(line);
+    });
+  } else if (type === 'chevron') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var chevron = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+    chevron.setAttribute('points', '9 18 15 12 9 6');
+    svg.appendChild(chevron);
+  } else if (type === 'smart-folder') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var funnel = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+    funnel.setAttribute('points', '22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3');
+    svg.appendChild(funnel);
+  } else if (type === 'folder') {
+    svg.setAttribute('fill', 'currentColor');
+    svg.setAttribute('stroke', 'none');
+    var path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', 'M3 7v13h18V7H3zm0-2h7l2 2h9v2H3V5z');
+    svg.appendChild(path);
+  } else if (type === 'pencil') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var pPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    pPath.setAttribute('d', 'M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z');
+    svg.appendChild(pPath);
+  } else if (type === 'palette') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    circle.setAttribute('cx', '12'); circle.setAttribute('cy', '12'); circle.setAttribute('r', '9');
+    svg.appendChild(circle);
+    var dot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    dot.setAttribute('cx', '12'); dot.setAttribute('cy', '12'); dot.setAttribute('r', '3');
+    dot.setAttribute('fill', 'currentColor');
+    svg.appendChild(dot);
+  } else if (type === 'folder-plus') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var fpParts = [
+      { tag: 'path', attrs: { d: 'M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z' } },
+      { tag: 'line', attrs: { x1: '12', y1: '11', x2: '12', y2: '17' } },
+      { tag: 'line', attrs: { x1: '9', y1: '14', x2: '15', y2: '14' } },
+    ];
+    fpParts.forEach(function(p) {
+      var el = document.createElementNS('http://www.w3.org/2000/svg', p.tag);
+      Object.keys(p.attrs).forEach(function(k) { el.setAttribute(k, p.attrs[k]); });
+      svg.appendChild(el);
+    });
+  } else if (type === 'lock') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var lockParts = [
+      { tag: 'rect', attrs: { x: '5', y: '11', width: '14', height: '10', rx: '2' } },
+      { tag: 'path', attrs: { d: 'M8 11V7a4 4 0 0 1 8 0v4' } },
+    ];
+    lockParts.forEach(function(p) {
+      var el = document.createElementNS('http://www.w3.org/2000/svg', p.tag);
+      Object.keys(p.attrs).forEach(function(k) { el.setAttribute(k, p.attrs[k]); });
+      svg.appendChild(el);
+    });
+  } else if (type === 'move') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var mParts = [
+      { tag: 'polyline', attrs: { points: '15 10 20 15 15 20' } },
+      { tag: 'path', attrs: { d: 'M4 4v7a4 4 0 0 0 4 4h12' } },
+    ];
+    mParts.forEach(function(p) {
+      var el = document.createElementNS('http://www.w3.org/2000/svg', p.tag);
+      Object.keys(p.attrs).forEach(function(k) { el.setAttribute(k, p.attrs[k]); });
+      svg.appendChild(el);
+    });
+  } else if (type === 'history') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var hParts = [
+      { tag: 'path', attrs: { d: 'M3 12a9 9 0 1 0 3-6.7L3 8' } },
+      { tag: 'polyline', attrs: { points: '3 3 3 8 8 8' } },
+      { tag: 'polyline', attrs: { points: '12 7 12 12 15 15' } },
+    ];
+    hParts.forEach(function(p) {
+      var el = document.createElementNS('http://www.w3.org/2000/svg', p.tag);
+      Object.keys(p.attrs).forEach(function(k) { el.setAttribute(k, p.attrs[k]); });
+      svg.appendChild(el);
+    });
+  } else if (type === 'tag') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var tParts = [
+      { tag: 'path', attrs: { d: 'M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z' } },
+      { tag: 'line', attrs: { x1: '7', y1: '7', x2: '7.01', y2: '7' } },
+    ];
+    tParts.forEach(function(p) {
+      var el = document.createElementNS('http://www.w3.org/2000/svg', p.tag);
+      Object.keys(p.attrs).forEach(function(k) { el.setAttribute(k, p.attrs[k]); });
+      svg.appendChild(el);
+    });
+  } else if (type === 'sort') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var sParts = [
+      { tag: 'line', attrs: { x1: '7', y1: '4', x2: '7', y2: '20' } },
+      { tag: 'polyline', attrs: { points: '3 16 7 20 11 16' } },
+      { tag: 'line', attrs: { x1: '14', y1: '6', x2: '21', y2: '6' } },
+      { tag: 'line', attrs: { x1: '14', y1: '12', x2: '19', y2: '12' } },
+      { tag: 'line', attrs: { x1: '14', y1: '18', x2: '17', y2: '18' } },
+    ];
+    sParts.forEach(function(p) {
+      var el = document.createElementNS('http://www.w3.org/2000/svg', p.tag);
+      Object.keys(p.attrs).forEach(function(k) { el.setAttribute(k, p.attrs[k]); });
+      svg.appendChild(el);
+    });
+  } else if (type === 'download' || type === 'upload') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var dParts = [
+      { tag: 'path', attrs: { d: 'M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4' } },
+      { tag: 'polyline', attrs: { points: type === 'download' ? '7 10 12 15 17 10' : '17 8 12 3 7 8' } },
+      { tag: 'line', attrs: { x1: '12', y1: type === 'download' ? '15' : '3', x2: '12', y2: type === 'download' ? '3' : '15' } },
+    ];
+    dParts.forEach(function(p) {
+      var el = document.createElementNS('http://www.w3.org/2000/svg', p.tag);
+      Object.keys(p.attrs).forEach(function(k) { el.setAttribute(k, p.attrs[k]); });
+      svg.appendChild(el);
+    });
+  } else if (type === 'trash') {
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    var tParts = [
+      { tag: 'polyline', attrs: { points: '3 6 5 6 21 6' } },
+      { tag: 'path', attrs: { d: 'M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2' } },
+    ];
+    tParts.forEach(function(p) {
+      var el = document.createElementNS('http://www.w3.org/2000/svg', p.tag);
+      Object.keys(p.attrs).forEach(function(k) { el.setAttribute(k, p.attrs[k]); });
+      svg.appendChild(el);
+    });
+  }
+  return svg;
+}
+
+/**
+ * Show add folder prompt
+ */
+async function showAddFolderPrompt() {
+  const name = await api.showPrompt({
+    title: 'New Folder',
+    message: 'Enter a name for the new folder',
+    placeholder: 'Folder name...',
+    confirmLabel: 'Create',
+    cancelLabel: 'Cancel',
+  });
+
+  if (name && name.trim()) {
+    await createFolder(name.trim());
+  }
+}
+
+/**
+ * Close the currently open host modal
+ */
+function closeActiveModal() {
+  document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+}
+
+/**
+ * Show a folder picker modal with an indented tree, type-to-filter search,
+ * recently used targets and inline folder creation. currentId marks the current location
+ * (null = no folder); leave it out when there is no single current location.
+ * Resolves with the chosen folder ID, null for the "no folder" entry, or undefined if cancelled.
+ */
+function showFolderPicker({ title, currentId, excludeIds = [], noneLabel = '(No folder)' }) {
+  return new Promise((resolve) => {
+    let picked = false;
+    let query = '';
+    let options = []; // [{ el, folderId }] in visible order
+    let activeIndex = 0;
+
+    function choose(folderId) {
+      if (picked) return;
+      picked = true;
+      if (folderId) recordRecentFolder(folderId);
+      resolve(folderId);
+      closeActiveModal();
+    }
+
+    const contentEl = document.createElement('div');
+    contentEl.className = 'space-y-2';
+
+    const searchInput = document.createElement('input');
+    searchInput.type = 'text';
+    searchInput.className = 'w-full px-2 py-1.5 text-sm bg-surface-0/30 border border-surface-0/50 rounded text-text';
+    searchInput.placeholder = 'Search folders...';
+    contentEl.appendChild(searchInput);
+
+    const listEl = document.createElement('div');
+    listEl.className = 'space-y-0.5 max-h-[320px] overflow-y-auto';
+    contentEl.appendChild(listEl);
+
+    const createBtn = document.createElement('button');
+    createBtn.className = 'w-full flex items-center gap-2 px-3 py-1.5 rounded text-xs text-text-muted hover:text-accent hover:bg-surface-0/50 transition-colors';
+    contentEl.appendChild(createBtn);
+
+    function isSelectable(folderId) {
+      return !excludeIds.includes(folderId);
+    }
+
+    function setActive(index) {
+      if (options.length === 0) return;
+      activeIndex = (index + options.length) % options.length;
+      options.forEach((opt, i) => {
+        opt.el.style.backgroundColor = i === activeIndex ? 'rgba(137, 180, 250, 0.12)' : '';
+      });
+      options[activeIndex].el.scrollIntoView({ block: 'nearest' });
+      updateCreateLabel();
+    }
+
+    function getCreateParentId() {
+      const active = options[activeIndex];
+      // New folders cannot go inside the shared team layout
+      return active && active.folderId && !isSharedFolder(active.folderId) ? active.folderId : null;
+    }
+
+    function updateCreateLabel() {
+      const parentId = getCreateParentId();
+      createBtn.textContent = '';
+      createBtn.appendChild(createSvgIcon('folder-plus', 12));
+      const label = document.createElement('span');
+      label.textContent = parentId
+        ? `New folder in "${getFolderPathLabel(parentId)}"\u2026`
+        : 'New top-level folder\u2026';
+      createBtn.appendChild(label);
+    }
+
+    function addSectionLabel(text) {
+      const labelEl = document.createElement('div');
+      labelEl.className = 'text-[10px] text-text-muted uppercase tracking-wider px-3 pt-2 pb-1';
+      labelEl.textContent = text;
+      listEl.appendChild(labelEl);
+    }
+
+    function addOption(folder, { depth = 0, showPath = false } = {}) {
+      const folderId = folder ? folder.id : null;
+      const isCurrent = currentId !== undefined && (currentId || null) === folderId;
+
+      const opt = document.createElement('div');
+      opt.className = 'px-3 py-1.5 rounded hover:bg-surface-0/50 cursor-pointer transition-colors flex items-center gap-2 text-sm '
+        + (isCurrent ? 'text-accent font-medium' : 'text-text');
+      opt.style.paddingLeft = `${12 + depth * 14}px`;
+
+      if (folder) {
+        const iconSpan = document.createElement('span');
+        iconSpan.style.color = isCurrent ? '' : folder.color;
+        if (isCurrent) iconSpan.className = 'text-accent';
+        iconSpan.appendChild(createSvgIcon('folder', 14));
+        opt.appendChild(iconSpan);
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'truncate';
+        nameSpan.textContent = folder.name;
+        opt.appendChild(nameSpan);
+
+        const path = getFolderPath(folder.id);
+        if (showPath && path.length > 1) {
+          const pathSpan = document.createElement('span');
+          pathSpan.className = 'text-[10px] text-text-muted truncate';
+          pathSpan.textContent = path.slice(0, -1).map(f => f.name).join(' / ');
+          opt.appendChild(pathSpan);
+        }
+        opt.title = getFolderPathLabel(folder.id);
+      } else {
+        opt.textContent = noneLabel;
+      }
+
+      const index = options.length;
+      opt.addEventListener('click', () => choose(folderId));
+      opt.addEventListener('mousemove', () => {
+        if (activeIndex !== index) setActive(index);
+      });
+      options.push({ el: opt, folderId });
+      listEl.appendChild(opt);
+    }
+
+    function render() {
+      listEl.textContent = '';
+      options = [];
+      const q = query.trim().toLowerCase();
+
+      if (!q) {
+        addOption(null);
+
+        const recents = recentFolderIds
+          .map(id => folders.find(f => f.id === id))
+          .filter(f => f && isSelectable(f.id));
+        if (recents.length > 0) {
+          addSectionLabel('Recent');
+          recents.forEach(f => addOption(f, { showPath: true }));
+          addSectionLabel('All folders');
+        }
+
+        // Skip excluded folders together with their subtrees
+        const hidden = new Set();
+        getFolderTreeOrder().forEach(({ folder, depth }) => {
+          if (!isSelectable(folder.id) || (folder.parentId && hidden.has(folder.parentId))) {
+            hidden.add(folder.id);
+            return;
+          }
+          addOption(folder, { depth });
+        });
+      } else {
+        getFolderTreeOrder()
+          .filter(({ folder }) => isSelectable(folder.id) && getFolderPathLabel(folder.id).toLowerCase().includes(q))
+          .forEach(({ folder }) => addOption(folder, { showPath: true }));
+
+        if (options.length === 0) {
+          const emptyEl = document.createElement('div');
+          emptyEl.className = 'text-xs text-text-muted text-center py-2 opacity-60';
+          emptyEl.textContent = 'No matching folders';
+          listEl.appendChild(emptyEl);
+        }
+      }
+
+      const currentIndex = currentId === undefined ? -1 : options.findIndex(opt => opt.folderId === (currentId || null));
+      activeIndex = q || currentIndex < 0 ? 0 : currentIndex;
+      if (options.length > 0) {
+        setActive(activeIndex);
+      } else {
+        updateCreateLabel();
+      }
+    }
+
+    // Inline "New folder here" input, created under the highlighted folder
+    function showCreateInput() {
+      const parentId = getCreateParentId();
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'w-full px-2 py-1.5 text-sm bg-surface-0/30 border border-accent/50 rounded text-text';
+      input.placeholder = parentId ? `Folder name in "${getFolderPathLabel(parentId)}"...` : 'Folder name...';
+      input.value = query.trim();
+      createBtn.replaceWith(input);
+      input.focus();
+      input.select();
+
+      input.addEventListener('keydown', async (e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          input.replaceWith(createBtn);
+          searchInput.focus();
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          e.stopPropagation();
+          const name = input.value.trim();
+          if (!name) return;
+          const folder = await createFolder(name, null, parentId);
+          choose(folder.id);
+        }
+      });
+    }
+
+    searchInput.addEventListener('input', () => {
+      query = searchInput.value;
+      render();
+    });
+
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActive(activeIndex + 1);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActive(activeIndex - 1);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (options[activeIndex]) {
+          choose(options[activeIndex].folderId);
+        } else if (query.trim()) {
+          showCreateInput();
+        }
+      }
+    });
+
+    createBtn.addEventListener('click', showCreateInput);
+
+    render();
+    setTimeout(() => searchInput.focus(), 0);
+
+    api.showModal({
+      title,
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+      ],
+    }).catch(() => {}).then(() => {
+      if (!picked) resolve(undefined);
+    });
+  });
+}
+
+/**
+ * Show folder picker modal for moving a session
+ */
+async function showMoveToFolderMenu(sessionId) {
+  const folderId = await showFolderPicker({
+    title: 'Move to folder',
+    currentId: sessionFolders[sessionId] || null,
+  });
+  if (folderId !== undefined) {
+    await moveSessionToFolder(sessionId, folderId);
+  }
+}
+
+// Preset folder colors (Catppuccin Mocha)
+const FOLDER_COLORS = [
+  '#6c7086', '#f38ba8', '#fab387', '#f9e2af', '#a6e3a1',
+  '#94e2d5', '#89dceb', '#89b4fa', '#b4befe', '#cba6f7', '#f5c2e7',
+];
+
+/**
+ * Check that a string is a #rgb or #rrggbb hex color
+ */
+function isValidHexColor(str) {
+  return typeof str === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(str);
+}
+
+/**
+ * Build a color field (palette plus custom hex input).
+ * Calls onChange with each valid color the user picks.
+ */
+function createColorField(initial, onChange) {
+  let selected = initial;
+
+  const fieldEl = document.createElement('div');
+  fieldEl.className = 'space-y-3';
+
+  const palette = document.createElement('div');
+  palette.className = 'flex flex-wrap gap-2';
+  fieldEl.appendChild(palette);
+
+  const hexRow = document.createElement('div');
+  hexRow.className = 'flex items-center gap-2';
+  const preview = document.createElement('span');
+  preview.className = 'w-6 h-6 rounded border border-surface-0/50 shrink-0';
+  hexRow.appendChild(preview);
+  const hexInput = document.createElement('input');
+  hexInput.type = 'text';
+  hexInput.className = 'flex-1 px-2 py-1 text-sm bg-surface-0/30 border border-surface-0/50 rounded text-text';
+  hexInput.placeholder = '#rrggbb';
+  hexInput.maxLength = 7;
+  hexRow.appendChild(hexInput);
+  fieldEl.appendChild(hexRow);
+
+  function refresh() {
+    preview.style.backgroundColor = selected;
+    Array.from(palette.children).forEach(swatch => {
+      swatch.style.boxShadow = swatch.dataset.color.toLowerCase() === selected.toLowerCase()
+        ? '0 0 0 2px rgb(137, 180, 250)'
+        : '';
+    });
+    onChange(selected);
+  }
+
+  FOLDER_COLORS.forEach(color => {
+    const swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.className = 'w-6 h-6 rounded-full border border-surface-0/50';
+    swatch.style.backgroundColor = color;
+    swatch.dataset.color = color;
+    swatch.title = color;
+    swatch.addEventListener('click', () => {
+      selected = color;
+      hexInput.value = color;
+      hexInput.style.borderColor = '';
+      refresh();
+    });
+    palette.appendChild(swatch);
+  });
+
+  hexInput.addEventListener('input', () => {
+    const value = hexInput.value.trim();
+    const valid = isValidHexColor(value);
+    hexInput.style.borderColor = valid ? '' : 'rgb(243, 139, 168)';
+    if (valid) {
+      selected = value;
+      refresh();
+    }
+  });
+
+  hexInput.value = selected;
+  refresh();
+
+  return fieldEl;
+}
+
+/**
+ * Show the color picker for a folder (palette plus custom hex)
+ */
+async function showColorPicker(folder) {
+  let selected = folder.color;
+  const contentEl = createColorField(folder.color, (color) => { selected = color; });
+
+  try {
+    const result = await api.showModal({
+      title: 'Folder color',
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: 'Apply', variant: 'primary', onClick: () => selected },
+      ],
+    });
+    if (result && isValidHexColor(result) && result !== folder.color) {
+      await updateFolder(folder.id, { color: result });
+    }
+  } catch {
+    // Modal cancelled
+  }
+}
+
+/**
+ * Prompt for a new name and rename a folder
+ */
+async function showRenameFolderPrompt(folder) {
+  const newName = await api.showPrompt({
+    title: 'Rename Folder',
+    message: 'Enter a new name',
+    placeholder: 'Folder name...',
+    defaultValue: folder.name,
+    confirmLabel: 'Rename',
+    cancelLabel: 'Cancel',
+  });
+
+  if (newName && newName.trim()) {
+    await updateFolder(folder.id, { name: newName.trim() });
+  }
+}
+
+/**
+ * Prompt for a name and create a sub-folder
+ */
+async function showAddSubFolderPrompt(parent) {
+  const name = await api.showPrompt({
+    title: 'New Sub-folder',
+    message: `Create a folder inside "${parent.name}"`,
+    placeholder: 'Folder name...',
+    confirmLabel: 'Create',
+    cancelLabel: 'Cancel',
+  });
+
+  if (name && name.trim()) {
+    expandedFolders.add(parent.id);
+    await createFolder(name.trim(), null, parent.id);
+  }
+}
+
+/**
+ * Pick a new parent for a folder and move it there
+ */
+async function showMoveFolderPicker(folder) {
+  const parentId = await showFolderPicker({
+    title: `Move "${folder.name}"`,
+    currentId: folder.parentId || null,
+    excludeIds: [folder.id, ...getDescendantFolderIds(folder.id), ...getSharedFolders().map(f => f.id)],
+    noneLabel: '(Top level)',
+  });
+  if (parentId !== undefined && parentId !== (folder.parentId || null)) {
+    await moveFolder(folder.id, parentId);
+  }
+}
+
+/**
+ * Ask for confirmation, then delete a folder and its descendants
+ */
+async function confirmDeleteFolder(folder) {
+  if (folder.shared) return;
+  const childCount = getDescendantFolderIds(folder.id).length;
+  const sessionCount = getSessionIdsInFolder(folder.id, true).length;
+  let message = `Delete folder "${escapeHtml(folder.name)}"?`;
+  if (childCount > 0) message += ` This will also delete ${childCount} sub-folder(s).`;
+  if (sessionCount > 0) message += ` ${sessionCount} session(s) will become uncategorized.`;
+
+  try {
+    const result = await api.showModal({
+      title: 'Delete folder',
+      content: message,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: 'Delete', variant: 'danger', onClick: () => true },
+      ],
+    });
+    if (result) {
+      await deleteFolder(folder.id);
+      showUndoToast(`Deleted folder "${folder.name}"`);
+    }
+  } catch {
+    // Modal cancelled
+  }
+}
+
+const FORM_INPUT_CLASS = 'px-2 py-1 text-xs bg-surface-0/30 border border-surface-0/50 rounded text-text';
+
+/**
+ * Create a <select> from [{ value, label }] options
+ */
+function createSelect(options, value) {
+  const select = document.createElement('select');
+  select.className = FORM_INPUT_CLASS;
+  options.forEach(opt => {
+    const option = document.createElement('option');
+    option.value = opt.value;
+    option.textContent = opt.label;
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+/**
+ * Check that a rule's regular expression compiles (other operators are always valid)
+ */
+function isValidRuleValue(rule) {
+  if (rule.operator !== 'regex') return true;
+  try {
+    new RegExp(rule.value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Outline a rule's value input in red while its regular expression does not compile
+ */
+function markRuleValidity(valueInput, rule) {
+  const valid = isValidRuleValue(rule);
+  valueInput.style.borderColor = valid ? '' : 'rgb(243, 139, 168)';
+  valueInput.title = valid ? '' : 'Invalid regular expression';
+  return valid;
+}
+
+/**
+ * Show the rule builder for a new or existing smart folder
+ */
+async function showSmartFolderEditor(smartFolder = null) {
+  const draft = {
+    name: smartFolder ? smartFolder.name : '',
+    color: smartFolder ? smartFolder.color : '#89b4fa',
+    match: smartFolder ? smartFolder.match : 'all',
+    rules: smartFolder
+      ? smartFolder.rules.map(rule => ({ ...rule }))
+      : [{ field: 'name', operator: 'glob', value: '' }],
+  };
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-3 text-sm';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'w-full ' + FORM_INPUT_CLASS;
+  nameInput.placeholder = 'Smart folder name...';
+  nameInput.value = draft.name;
+  nameInput.addEventListener('input', () => { draft.name = nameInput.value; });
+  contentEl.appendChild(nameInput);
+
+  contentEl.appendChild(createColorField(draft.color, (color) => { draft.color = color; }));
+
+  const matchRow = document.createElement('div');
+  matchRow.className = 'flex items-center gap-2 text-xs text-text-muted';
+  const matchPrefix = document.createElement('span');
+  matchPrefix.textContent = 'Include sessions matching';
+  matchRow.appendChild(matchPrefix);
+  const matchSelect = createSelect([
+    { value: 'all', label: 'all rules (AND)' },
+    { value: 'any', label: 'any rule (OR)' },
+  ], draft.match);
+  matchSelect.addEventListener('change', () => {
+    draft.match = matchSelect.value;
+    updatePreview();
+  });
+  matchRow.appendChild(matchSelect);
+  contentEl.appendChild(matchRow);
+
+  const rulesEl = document.createElement('div');
+  rulesEl.className = 'space-y-1.5';
+  contentEl.appendChild(rulesEl);
+
+  const addRuleBtn = document.createElement('button');
+  addRuleBtn.type = 'button';
+  addRuleBtn.className = 'text-[10px] text-text-muted hover:text-accent transition-colors';
+  addRuleBtn.textContent = '+ Add rule';
+  addRuleBtn.addEventListener('click', () => {
+    draft.rules.push({ field: 'name', operator: 'glob', value: '' });
+    renderRules();
+  });
+  contentEl.appendChild(addRuleBtn);
+
+  const previewEl = document.createElement('div');
+  previewEl.className = 'text-xs text-text-muted';
+  contentEl.appendChild(previewEl);
+
+  function updatePreview() {
+    const matched = getSmartFolderSessions(draft, api.getAllSessions());
+    const names = matched.slice(0, 5).map(session => session.name || session.id);
+    previewEl.textContent = `${matched.length} matching session(s)`
+      + (names.length > 0 ? `: ${names.join(', ')}${matched.length > names.length ? ', \u2026' : ''}` : '');
+  }
+
+  function renderRules() {
+    rulesEl.textContent = '';
+    const knownFields = SMART_RULE_FIELDS.map(f => f.value);
+
+    draft.rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-1.5';
+
+      const isCustom = !knownFields.includes(rule.field);
+      const fieldSelect = createSelect([...SMART_RULE_FIELDS, { value: '__custom', label: 'Other field\u2026' }],
+        isCustom ? '__custom' : rule.field);
+      row.appendChild(fieldSelect);
+
+      const customInput = document.createElement('input');
+      customInput.type = 'text';
+      customInput.className = 'w-24 ' + FORM_INPUT_CLASS;
+      customInput.placeholder = 'field';
+      customInput.value = isCustom ? rule.field : '';
+      customInput.style.display = isCustom ? '' : 'none';
+      row.appendChild(customInput);
+
+      fieldSelect.addEventListener('change', () => {
+        const custom = fieldSelect.value === '__custom';
+        customInput.style.display = custom ? '' : 'none';
+        rule.field = custom ? customInput.value.trim() : fieldSelect.value;
+        if (custom) customInput.focus();
+        updatePreview();
+      });
+      customInput.addEventListener('input', () => {
+        rule.field = customInput.value.trim();
+        updatePreview();
+      });
+
+      const operatorSelect = createSelect(SMART_RULE_OPERATORS, rule.operator);
+      row.appendChild(operatorSelect);
+
+      const valueInput = document.createElement('input');
+      valueInput.type = 'text';
+      valueInput.className = 'flex-1 min-w-0 ' + FORM_INPUT_CLASS;
+      valueInput.placeholder = 'prod-*';
+      valueInput.value = rule.value;
+      row.appendChild(valueInput);
+
+      const validate = () => markRuleValidity(valueInput, rule);
+
+      operatorSelect.addEventListener('change', () => {
+        rule.operator = operatorSelect.value;
+        valueInput.placeholder = rule.operator === 'regex' ? '^prod-(eu|us)-' : 'prod-*';
+        validate();
+        updatePreview();
+      });
+      valueInput.addEventListener('input', () => {
+        rule.value = valueInput.value;
+        validate();
+        updatePreview();
+      });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'p-1 rounded hover:bg-error/20 text-text-muted hover:text-error transition-all';
+      removeBtn.title = 'Remove rule';
+      removeBtn.appendChild(createSvgIcon('trash', 11));
+      removeBtn.addEventListener('click', () => {
+        draft.rules.splice(index, 1);
+        renderRules();
+      });
+      row.appendChild(removeBtn);
+
+      validate();
+      rulesEl.appendChild(row);
+    });
+
+    updatePreview();
+  }
+
+  renderRules();
+  setTimeout(() => nameInput.focus(), 0);
+
+  let result;
+  try {
+    result = await api.showModal({
+      title: smartFolder ? 'Edit smart folder' : 'New smart folder',
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: smartFolder ? 'Save' : 'Create', variant: 'primary', onClick: () => true },
+      ],
+    });
+  } catch {
+    return; // Modal cancelled
+  }
+  if (!result) return;
+
+  const name = draft.name.trim();
+  const rules = draft.rules
+    .filter(rule => rule.field && String(rule.value).trim())
+    .map(rule => ({ field: rule.field, operator: rule.operator, value: String(rule.value).trim() }));
+
+  if (!name) {
+    api.showNotification('Smart folder needs a name', 'error');
+    return;
+  }
+  if (rules.length === 0) {
+    api.showNotification('Smart folder needs at least one rule', 'error');
+    return;
+  }
+
+  const definition = { name, color: draft.color, match: draft.match, rules };
+  if (smartFolder) {
+    await updateSmartFolder(smartFolder.id, definition);
+  } else {
+    await createSmartFolder(definition);
+  }
+}
+
+/**
+ * Ask for confirmation, then delete a smart folder
+ */
+async function confirmDeleteSmartFolder(smartFolder) {
+  try {
+    const result = await api.showModal({
+      title: 'Delete smart folder',
+      content: `Delete smart folder "${escapeHtml(smartFolder.name)}"? Sessions are not affected.`,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: 'Delete', variant: 'danger', onClick: () => true },
+      ],
+    });
+    if (result) {
+      await deleteSmartFolder(smartFolder.id);
+      showUndoToast(`Deleted smart folder "${smartFolder.name}"`);
+    }
+  } catch {
+    // Modal cancelled
+  }
+}
+
+/**
+ * Show the auto-filing rules editor with a dry-run preview for uncategorized sessions.
+ * entered: rules to edit instead of the saved ones, used to reopen it after a rejected save.
+ */
+async function showAutoFileRulesEditor(entered = null) {
+  const draft = (entered || autoFileRules).map(rule => ({ ...rule }));
+
+  function getValidRules() {
+    return draft
+      .filter(rule => rule.folderId && String(rule.value).trim() && isValidRuleValue(rule))
+      .map(rule => ({
+        id: rule.id || `rule-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+        field: rule.field,
+        operator: rule.operator,
+        value: String(rule.value).trim(),
+        folderId: rule.folderId,
+      }));
+  }
+
+  function commitRules() {
+    autoFileRules = getValidRules();
+    saveState();
+  }
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-3 text-sm';
+
+  const hint = document.createElement('div');
+  hint.className = 'text-xs text-text-muted';
+  hint.textContent = 'Sessions without a folder are filed into the folder of the first matching rule. Rules are checked top to bottom.';
+  contentEl.appendChild(hint);
+
+  const rulesEl = document.createElement('div');
+  rulesEl.className = 'space-y-1.5';
+  contentEl.appendChild(rulesEl);
+
+  const addRuleBtn = document.createElement('button');
+  addRuleBtn.type = 'button';
+  addRuleBtn.className = 'text-[10px] text-text-muted hover:text-accent transition-colors';
+  addRuleBtn.textContent = '+ Add rule';
+  addRuleBtn.addEventListener('click', () => {
+    draft.push({ field: 'name', operator: 'glob', value: '', folderId: folders.length > 0 ? getFolderTreeOrder()[0].folder.id : '' });
+    renderRules();
+  });
+  contentEl.appendChild(addRuleBtn);
+
+  const applySection = document.createElement('div');
+  applySection.className = 'pt-2 border-t border-surface-0/30 space-y-2';
+  contentEl.appendChild(applySection);
+
+  const previewBtn = document.createElement('button');
+  previewBtn.type = 'button';
+  previewBtn.className = 'text-xs text-accent hover:underline';
+  previewBtn.textContent = 'Apply rules to existing uncategorized sessions\u2026';
+  applySection.appendChild(previewBtn);
+
+  const previewEl = document.createElement('div');
+  previewEl.className = 'space-y-0.5 max-h-[200px] overflow-y-auto text-xs';
+  applySection.appendChild(previewEl);
+
+  previewBtn.addEventListener('click', () => {
+    const plan = planAutoFiling(api.getAllSessions(), getValidRules());
+    previewEl.textContent = '';
+
+    if (plan.length === 0) {
+      const emptyEl = document.createElement('div');
+      emptyEl.className = 'text-text-muted opacity-60';
+      emptyEl.textContent = 'No uncategorized sessions match these rules.';
+      previewEl.appendChild(emptyEl);
+      return;
+    }
+
+    plan.forEach(({ session, folderId }) => {
+      const line = document.createElement('div');
+      line.className = 'flex items-center gap-2 text-text';
+      const nameSpan = document.createElement('span');
+      nameSpan.className = 'truncate';
+      nameSpan.textContent = session.name || session.id;
+      line.appendChild(nameSpan);
+      const arrow = document.createElement('span');
+      arrow.className = 'text-text-muted';
+      arrow.textContent = '\u2192';
+      line.appendChild(arrow);
+      const folderSpan = document.createElement('span');
+      folderSpan.className = 'truncate text-text-muted';
+      folderSpan.textContent = getFolderPathLabel(folderId);
+      line.appendChild(folderSpan);
+      previewEl.appendChild(line);
+    });
+
+    const applyBtn = document.createElement('button');
+    applyBtn.type = 'button';
+    applyBtn.className = 'mt-2 px-2 py-1 rounded bg-accent/15 text-accent text-xs hover:bg-accent/25 transition-colors';
+    applyBtn.textContent = `Move ${plan.length} session(s)`;
+    applyBtn.addEventListener('click', async () => {
+      applyBtn.disabled = true;
+      commitRules();
+      const moved = await applyAutoFileRules();
+      api.showNotification(`Filed ${moved} session(s)`, 'success');
+      closeActiveModal();
+    });
+    previewEl.appendChild(applyBtn);
+  });
+
+  function renderRules() {
+    rulesEl.textContent = '';
+    previewEl.textContent = '';
+
+    if (draft.length === 0) {
+      const emptyEl = document.createElement('div');
+      emptyEl.className = 'text-xs text-text-muted text-center py-2 opacity-60';
+      emptyEl.textContent = 'No rules yet';
+      rulesEl.appendChild(emptyEl);
+      return;
+    }
+
+    const folderOptions = getFolderTreeOrder().map(({ folder, depth }) => ({
+      value: folder.id,
+      label: `${'\u00a0\u00a0'.repeat(depth)}${folder.name}`,
+    }));
+
+    draft.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-1.5';
+
+      const fieldSelect = createSelect(SMART_RULE_FIELDS, rule.field);
+      fieldSelect.addEventListener('change', () => { rule.field = fieldSelect.value; });
+      row.appendChild(fieldSelect);
+
+      const operatorSelect = createSelect(SMART_RULE_OPERATORS, rule.operator);
+      row.appendChild(operatorSelect);
+
+      const valueInput = document.createElement('input');
+      valueInput.type = 'text';
+      valueInput.className = 'flex-1 min-w-0 ' + FORM_INPUT_CLASS;
+      valueInput.placeholder = rule.operator === 'regex' ? '^prod-eu-' : 'prod-eu-*';
+      valueInput.value = rule.value;
+      row.appendChild(valueInput);
+      markRuleValidity(valueInput, rule);
+
+      operatorSelect.addEventListener('change', () => {
+        rule.operator = operatorSelect.value;
+        valueInput.placeholder = rule.operator === 'regex' ? '^prod-eu-' : 'prod-eu-*';
+        markRuleValidity(valueInput, rule);
+      });
+      valueInput.addEventListener('input', () => {
+        rule.value = valueInput.value;
+        markRuleValidity(valueInput, rule);
+      });
+
+      const arrow = document.createElement('span');
+      arrow.className = 'text-text-muted text-xs';
+      arrow.textContent = '\u2192';
+      row.appendChild(arrow);
+
+      const missing = rule.folderId && !folders.some(f => f.id === rule.folderId);
+      const folderSelect = createSelect(
+        missing ? [{ value: rule.folderId, label: '(deleted folder)' }, ...folderOptions] : folderOptions,
+        rule.folderId,
+      );
+      folderSelect.className += ' max-w-[140px]';
+      folderSelect.addEventListener('change', () => { rule.folderId = folderSelect.value; });
+      row.appendChild(folderSelect);
+
+      const upBtn = document.createElement('button');
+      upBtn.type = 'button';
+      upBtn.className = 'px-1 text-text-muted hover:text-accent disabled:opacity-30';
+      upBtn.textContent = '\u2191';
+      upBtn.title = 'Higher priority';
+      upBtn.disabled = index === 0;
+      upBtn.addEventListener('click', () => {
+        draft.splice(index - 1, 0, draft.splice(index, 1)[0]);
+        renderRules();
+      });
+      row.appendChild(upBtn);
+
+      const downBtn = document.createElement('button');
+      downBtn.type = 'button';
+      downBtn.className = 'px-1 text-text-muted hover:text-accent disabled:opacity-30';
+      downBtn.textContent = '\u2193';
+      downBtn.title = 'Lower priority';
+      downBtn.disabled = index === draft.length - 1;
+      downBtn.addEventListener('click', () => {
+        draft.splice(index + 1, 0, draft.splice(index, 1)[0]);
+        renderRules();
+      });
+      row.appendChild(downBtn);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'p-1 rounded hover:bg-error/20 text-text-muted hover:text-error transition-all';
+      removeBtn.title = 'Remove rule';
+      removeBtn.appendChild(createSvgIcon('trash', 11));
+      removeBtn.addEventListener('click', () => {
+        draft.splice(index, 1);
+        renderRules();
+      });
+      row.appendChild(removeBtn);
+
+      rulesEl.appendChild(row);
+    });
+  }
+
+  if (folders.length === 0) {
+    api.showNotification('Create a folder first to set up auto-filing', 'info');
+    return;
+  }
+
+  renderRules();
+
+  let result;
+  try {
+    result = await api.showModal({
+      title: 'Auto-filing rules',
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: 'Save', variant: 'primary', onClick: () => true },
+      ],
+    });
+  } catch {
+    return; // Modal cancelled
+  }
+  if (!result) return;
+
+  // Nothing is saved while a rule is invalid: the editor comes back with the rules as entered
+  const invalid = draft.filter(rule => !isValidRuleValue(rule)).length;
+  if (invalid > 0) {
+    api.showNotification(`${invalid} rule(s) have an invalid regular expression`, 'error');
+    return showAutoFileRulesEditor(draft);
+  }
+  commitRules();
+}
+
+/**
+ * Show the backups modal: snapshots with counts, a diff summary and restore buttons
+ */
+async function showBackupsModal() {
+  await backupQueue;
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-1 max-h-[360px] overflow-y-auto';
+
+  if (backupIndex.length === 0) {
+    const emptyEl = document.createElement('div');
+    emptyEl.className = 'text-xs text-text-muted text-center py-3 opacity-60';
+    emptyEl.textContent = 'No backups yet';
+    contentEl.appendChild(emptyEl);
+  }
+
+  for (const entry of backupIndex) {
+    const row = document.createElement('div');
+    row.className = 'flex items-center gap-3 px-3 py-2 rounded hover:bg-surface-0/30';
+
+    const info = document.createElement('div');
+    info.className = 'flex-1 min-w-0';
+    const title = document.createElement('div');
+    title.className = 'text-sm text-text';
+    title.textContent = new Date(entry.createdAt).toLocaleString();
+    info.appendChild(title);
+    const meta = document.createElement('div');
+    meta.className = 'text-[10px] text-text-muted';
+    meta.textContent = `${entry.reason} \u00b7 ${entry.folderCount} folder(s), ${entry.sessionCount} filed session(s)`;
+    info.appendChild(meta);
+    const diff = document.createElement('div');
+    diff.className = 'text-[10px] text-text-muted truncate';
+    diff.textContent = 'Comparing\u2026';
+    info.appendChild(diff);
+    row.appendChild(info);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'px-2 py-1 rounded bg-accent/15 text-accent text-xs hover:bg-accent/25 transition-colors shrink-0';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', async () => {
+      restoreBtn.disabled = true;
+      if (await restoreBackup(entry)) {
+        closeActiveModal();
+        showUndoToast(`Restored backup from ${new Date(entry.createdAt).toLocaleString()}`);
+      } else {
+        restoreBtn.disabled = false;
+      }
+    });
+    row.appendChild(restoreBtn);
+
+    contentEl.appendChild(row);
+
+    readBackup(entry).then(backup => {
+      diff.textContent = backup ? describeBackupDiff(backup) : 'Unreadable backup';
+      if (!backup) restoreBtn.disabled = true;
+    });
+  }
+
+  try {
+    await api.showModal({
+      title: 'Backups',
+      content: contentEl,
+      buttons: [
+        { label: 'Close', variant: 'secondary' },
+      ],
+    });
+  } catch {
+    // Modal closed
+  }
+}
+
+/**
+ * Describe the last team layout load for the settings dialog
+ */
+function describeTeamLayoutStatus() {
+  if (!teamLayout) return 'No team layout configured.';
+  if (!teamLayoutStatus) return 'Loading\u2026';
+  const parts = [];
+  if (teamLayoutStatus.loadedAt) {
+    parts.push(`${teamLayoutStatus.folderCount} shared folder(s), loaded ${new Date(teamLayoutStatus.loadedAt).toLocaleString()}.`);
+  }
+  if (teamLayoutStatus.issues.length > 0) parts.push(`Skipped: ${teamLayoutStatus.issues.join('; ')}.`);
+  if (teamLayoutStatus.error) parts.push(`Last check failed: ${teamLayoutStatus.error}.`);
+  return parts.join(' ') || 'Not loaded yet.';
+}
+
+/**
+ * Configure the shared team layout file: its location, status and a manual reload
+ */
+async function showTeamLayoutModal() {
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-3';
+
+  const intro = document.createElement('div');
+  intro.className = 'text-xs text-text-muted';
+  intro.textContent = 'A JSON or YAML file listing folders that everyone on the team sees. '
+    + 'Shared folders are read-only and appear below your own; you can still file your sessions into them. '
+    + 'The file is checked for changes automatically. Leave the field empty to remove the team layout.';
+  contentEl.appendChild(intro);
+
+  const sourceInput = document.createElement('input');
+  sourceInput.type = 'text';
+  sourceInput.className = `w-full ${FORM_INPUT_CLASS}`;
+  sourceInput.placeholder = 'https://example.com/team-folders.yaml or /path/to/team-folders.json';
+  sourceInput.value = teamLayout ? teamLayout.source : '';
+  contentEl.appendChild(sourceInput);
+
+  const statusEl = document.createElement('div');
+  statusEl.className = 'text-[10px] text-text-muted';
+  statusEl.textContent = describeTeamLayoutStatus();
+  contentEl.appendChild(statusEl);
+
+  const reloadBtn = document.createElement('button');
+  reloadBtn.className = 'px-2 py-1 rounded bg-accent/15 text-accent text-xs hover:bg-accent/25 transition-colors';
+  reloadBtn.textContent = 'Reload now';
+  reloadBtn.disabled = !teamLayout;
+  reloadBtn.addEventListener('click', async () => {
+    reloadBtn.disabled = true;
+    // Force a fresh parse even when the file is unchanged
+    teamLayoutHash = null;
+    await reloadTeamLayout({ notify: true });
+    statusEl.textContent = describeTeamLayoutStatus();
+    reloadBtn.disabled = !teamLayout;
+  });
+  contentEl.appendChild(reloadBtn);
+
+  let result;
+  try {
+    result = await api.showModal({
+      title: 'Team layout',
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: 'Save', variant: 'primary', onClick: () => sourceInput.value },
+      ],
+    });
+  } catch {
+    return;
+  }
+  if (typeof result !== 'string') return;
+
+  const source = result.trim();
+  if (source === (teamLayout ? teamLayout.source : '')) return;
+  setTeamLayoutSource(source);
+  api.showNotification(source ? 'Team layout source saved' : 'Team layout removed', 'success');
+}
+
+/**
+ * Ask how to sort the tree: globally (folder null) or the contents of a folder, which its
+ * sub-folders inherit unless they have their own setting
+ */
+async function showSortModal(folder = null) {
+  const own = folder ? folderSorts[folder.id] || null : sortSettings || DEFAULT_SORT_SETTINGS;
+  const inherited = folder ? getEffectiveSort(folder.parentId) : null;
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-3 text-sm';
+
+  const intro = document.createElement('div');
+  intro.className = 'text-xs text-text-muted';
+  intro.textContent = folder
+    ? `How the sub-folders and sessions in "${folder.name}" are ordered. Sub-folders without their own setting follow it.`
+    : 'How folders and sessions are ordered. Right-click a folder to sort it differently.';
+  contentEl.appendChild(intro);
+
+  const modeRow = document.createElement('div');
+  modeRow.className = 'flex items-center gap-2 text-xs text-text-muted';
+  modeRow.appendChild(document.createTextNode('Sort by'));
+  const inheritOption = inherited
+    ? [{ value: '', label: `Same as parent (${SORT_MODES.find(m => m.value === inherited.mode).label})` }]
+    : [];
+  const modeSelect = createSelect([...inheritOption, ...SORT_MODES], own ? own.mode : '');
+  modeRow.appendChild(modeSelect);
+  contentEl.appendChild(modeRow);
+
+  const foldersFirstRow = document.createElement('label');
+  foldersFirstRow.className = 'flex items-center gap-2 text-xs text-text cursor-pointer select-none';
+  const foldersFirstInput = document.createElement('input');
+  foldersFirstInput.type = 'checkbox';
+  foldersFirstInput.checked = (own || inherited).foldersFirst;
+  foldersFirstRow.appendChild(foldersFirstInput);
+  foldersFirstRow.appendChild(document.createTextNode('Folders before sessions'));
+  contentEl.appendChild(foldersFirstRow);
+
+  const hint = document.createElement('div');
+  hint.className = 'text-[10px] text-text-muted';
+  contentEl.appendChild(hint);
+
+  function update() {
+    const mode = modeSelect.value || inherited.mode;
+    foldersFirstInput.disabled = !modeSelect.value;
+    if (!modeSelect.value) foldersFirstInput.checked = inherited.foldersFirst;
+    hint.textContent = {
+      manual: 'Drag folders and sessions to reorder them, or move the focused row with Alt+Up/Down. Without "Folders before sessions", sessions are listed first.',
+      name: 'Names are compared naturally: web-2 comes before web-10.',
+      recent: 'Sessions opened most recently come first; a folder counts its most recent session.',
+      connections: 'Sessions connected most often come first; a folder adds up its sessions.',
+      count: 'Folders holding the most sessions (sub-folders included) come first; sessions are sorted by name.',
+    }[mode];
+  }
+  modeSelect.addEventListener('change', update);
+  update();
+
+  let result;
+  try {
+    result = await api.showModal({
+      title: folder ? `Sort "${folder.name}"` : 'Sort folders',
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        {
+          label: 'Save',
+          variant: 'primary',
+          onClick: () => ({ settings: modeSelect.value ? { mode: modeSelect.value, foldersFirst: foldersFirstInput.checked } : null }),
+        },
+      ],
+    });
+  } catch {
+    return;
+  }
+  if (!result || JSON.stringify(result.settings) === JSON.stringify(own)) return;
+  setSortSettings(folder ? folder.id : null, result.settings);
+}
+
+/**
+ * Offer a text file for download
+ */
+function downloadFile(fileName, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Read a picked file as text; regedit writes its exports as UTF-16
+ */
+async function readFileText(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * Show the export dialog for the whole hierarchy or one folder's subtree
+ */
+async function showExportModal(rootFolderId = null) {
+  const bundle = buildExportBundle(rootFolderId);
+  const json = JSON.stringify(bundle, null, 2);
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-2';
+
+  const summary = document.createElement('div');
+  summary.className = 'text-xs text-text-muted';
+  summary.textContent = `${bundle.folders.length} folder(s) and ${bundle.sessions.length} session mapping(s)`
+    + (bundle.subtree ? ` from "${bundle.subtree}"` : '');
+  contentEl.appendChild(summary);
+
+  const textarea = document.createElement('textarea');
+  textarea.className = 'w-full h-48 px-2 py-1.5 text-[11px] font-mono bg-surface-0/30 border border-surface-0/50 rounded text-text';
+  textarea.readOnly = true;
+  textarea.value = json;
+  contentEl.appendChild(textarea);
+
+  const actions = document.createElement('div');
+  actions.className = 'flex gap-2';
+  contentEl.appendChild(actions);
+
+  const downloadBtn = document.createElement('button');
+  downloadBtn.className = 'px-2 py-1 rounded bg-accent/15 text-accent text-xs hover:bg-accent/25 transition-colors';
+  downloadBtn.textContent = 'Download';
+  downloadBtn.addEventListener('click', () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`simplyterm-folders-${date}.json`, json);
+  });
+  actions.appendChild(downloadBtn);
+
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'px-2 py-1 rounded bg-surface-0/30 text-text text-xs hover:bg-surface-0/50 transition-colors';
+  copyBtn.textContent = 'Copy';
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(json);
+      copyBtn.textContent = 'Copied';
+    } catch (e) {
+      textarea.select();
+    }
+  });
+  actions.appendChild(copyBtn);
+
+  try {
+    await api.showModal({
+      title: rootFolderId ? 'Export folder' : 'Export folders',
+      content: contentEl,
+      buttons: [
+        { label: 'Close', variant: 'secondary' },
+      ],
+    });
+  } catch {
+    // Modal closed
+  }
+}
+
+/**
+ * Show an import dialog: load a file or paste text, pick options, preview, then apply.
+ * formats: [{ value, label, accept, parse(text) -> plan }] (see parseExportBundle for the plan shape)
+ * entered: { format, text, mode, matchById } to reopen it with, after the preview went stale
+ */
+async function showImportModal({ title, formats }, entered = null) {
+  let plan = null;
+  let resolved = null;
+  const options = { mode: entered ? entered.mode : 'merge', matchById: entered ? entered.matchById : true };
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-3 text-sm';
+
+  const sourceRow = document.createElement('div');
+  sourceRow.className = 'flex items-center gap-2';
+  contentEl.appendChild(sourceRow);
+
+  const formatSelect = createSelect(formats.map(f => ({ value: f.value, label: f.label })), entered ? entered.format : formats[0].value);
+  if (formats.length > 1) sourceRow.appendChild(formatSelect);
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.className = 'flex-1 min-w-0 text-xs text-text-muted';
+  sourceRow.appendChild(fileInput);
+
+  const textarea = document.createElement('textarea');
+  textarea.className = 'w-full h-28 px-2 py-1.5 text-[11px] font-mono bg-surface-0/30 border border-surface-0/50 rounded text-text';
+  textarea.placeholder = 'Or paste the file contents here...';
+  textarea.value = entered ? entered.text : '';
+  contentEl.appendChild(textarea);
+
+  const optionsRow = document.createElement('div');
+  optionsRow.className = 'flex items-center gap-2 text-xs text-text-muted';
+  const modeSelect = createSelect([
+    { value: 'merge', label: 'Merge into existing folders' },
+    { value: 'replace', label: 'Replace all folders' },
+  ], options.mode);
+  const matchSelect = createSelect([
+    { value: 'id', label: 'Match sessions by ID, then name/host' },
+    { value: 'name', label: 'Match sessions by name/host only' },
+  ], options.matchById ? 'id' : 'name');
+  optionsRow.appendChild(modeSelect);
+  optionsRow.appendChild(matchSelect);
+  contentEl.appendChild(optionsRow);
+
+  const previewEl = document.createElement('div');
+  previewEl.className = 'space-y-0.5 max-h-[220px] overflow-y-auto text-xs';
+  contentEl.appendChild(previewEl);
+
+  function currentFormat() {
+    return formats.find(f => f.value === formatSelect.value) || formats[0];
+  }
+
+  function addLine(text, className = 'text-text') {
+    const line = document.createElement('div');
+    line.className = className;
+    line.textContent = text;
+    previewEl.appendChild(line);
+  }
+
+  function renderPreview() {
+    previewEl.textContent = '';
+    resolved = null;
+    if (!textarea.value.trim()) return;
+
+    try {
+      plan = currentFormat().parse(textarea.value);
+    } catch (e) {
+      addLine(e.message, 'text-error');
+      return;
+    }
+
+    resolved = resolveImport(plan, options);
+    const created = resolved.steps.filter(step => !step.existingId);
+    const reused = resolved.steps.filter(step => step.existingId);
+
+    if (resolved.removedFolderCount > 0) {
+      addLine(`Remove all ${resolved.removedFolderCount} current folder(s) and mappings`, 'text-error');
+    }
+    addLine(`Create ${created.length} folder(s), reuse ${reused.length} existing`, 'text-text-muted font-medium pt-1');
+    created.forEach(step => addLine(`+ ${step.path}`));
+    addLine(`File ${resolved.assignments.length} session(s)`, 'text-text-muted font-medium pt-1');
+    resolved.assignments.forEach(({ session, path, fromFolderId }) => {
+      addLine(`${session.name || session.id} \u2192 ${path}` + (fromFolderId ? ` (from ${getFolderPathLabel(fromFolderId)})` : ''));
+    });
+    if (resolved.unmatched.length > 0) {
+      addLine(`${resolved.unmatched.length} session(s) not found on this install`, 'text-text-muted font-medium pt-1');
+      resolved.unmatched.forEach(d => addLine(`? ${d.name || d.host || d.id}`, 'text-text-muted'));
+    }
+  }
+
+  function updateFileInput() {
+    fileInput.multiple = !!currentFormat().multiple;
+  }
+  updateFileInput();
+  renderPreview();
+
+  fileInput.addEventListener('change', () => {
+    const files = Array.from(fileInput.files || []);
+    if (files.length === 0) return;
+    const match = formats.find(f => f.accept && f.accept.some(ext => files[0].name.toLowerCase().endsWith(ext)));
+    if (match) {
+      formatSelect.value = match.value;
+      updateFileInput();
+    }
+    Promise.all(files.map(readFileText)).then(texts => {
+      textarea.value = texts.join('\n');
+      renderPreview();
+    });
+  });
+  textarea.addEventListener('input', renderPreview);
+  formatSelect.addEventListener('change', () => {
+    updateFileInput();
+    renderPreview();
+  });
+  modeSelect.addEventListener('change', () => {
+    options.mode = modeSelect.value;
+    renderPreview();
+  });
+  matchSelect.addEventListener('change', () => {
+    options.matchById = matchSelect.value === 'id';
+    renderPreview();
+  });
+
+  let result;
+  try {
+    result = await api.showModal({
+      title,
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: 'Import', variant: 'primary', onClick: () => true },
+      ],
+    });
+  } catch {
+    return; // Modal cancelled
+  }
+  if (!result) return;
+
+  if (!resolved) {
+    api.showNotification('Nothing to import', 'error');
+    return;
+  }
+
+  // Folders or sessions may have changed while the dialog was open (sync, the session
+  // watcher): only apply the plan the preview showed
+  const summarize = (r) => JSON.stringify({
+    steps: r.steps.map(step => [step.key, step.existingId || null]),
+    assignments: r.assignments.map(a => [a.session.id, a.folderKey, a.fromFolderId || null]),
+    removedFolderCount: r.removedFolderCount,
+  });
+  const current = resolveImport(plan, options);
+  if (summarize(current) !== summarize(resolved)) {
+    api.showNotification('Folders or sessions changed while the import was open. Check the updated preview.', 'warning');
+    return showImportModal({ title, formats }, {
+      format: formatSelect.value,
+      text: textarea.value,
+      mode: options.mode,
+      matchById: options.matchById,
+    });
+  }
+  await applyImport(current);
+  api.showNotification(`Imported ${resolved.steps.filter(step => !step.existingId).length} folder(s) and filed ${resolved.assignments.length} session(s)`, 'success');
+}
+
+/**
+ * Show the import dialog for a SimplyTerm folders export
+ */
+function showImportBundleModal() {
+  return showImportModal({
+    title: 'Import folders',
+    formats: [{ value: 'bundle', label: 'SimplyTerm folders export', accept: ['.json'], parse: parseExportBundle }],
+  });
+}
+
+/**
+ * Show the import dialog for other SSH clients' session lists
+ */
+function showClientImportModal() {
+  return showImportModal({
+    title: 'Import from another client',
+    formats: [
+      { value: 'ssh-config', label: 'OpenSSH config', accept: ['config', '.conf'], parse: parseSshConfig },
+      { value: 'putty', label: 'PuTTY / KiTTY (.reg)', accept: ['.reg'], parse: parsePuttyReg },
+      { value: 'remmina', label: 'Remmina (.remmina)', accept: ['.remmina'], parse: parseRemmina, multiple: true },
+      { value: 'mobaxterm', label: 'MobaXterm (.mxtsessions)', accept: ['.mxtsessions'], parse: parseMobaXterm },
+    ],
+  });
+}
+
+/**
+ * Show the sidebar tools menu (smart folders, auto-filing, tags, backups, export/import)
+ */
+function showFolderToolsMenu(x, y) {
+  return showContextMenu([
+    { label: 'New smart folder\u2026', icon: 'smart-folder', onClick: () => showSmartFolderEditor() },
+    { label: 'Auto-filing rules\u2026', icon: 'move', onClick: showAutoFileRulesEditor },
+    { label: 'Manage tags\u2026', icon: 'tag', onClick: showManageTagsModal },
+    { label: 'Sort\u2026', icon: 'sort', onClick: () => showSortModal() },
+    'separator',
+    { label: 'Export\u2026', icon: 'download', onClick: () => showExportModal() },
+    { label: 'Import\u2026', icon: 'upload', onClick: showImportBundleModal },
+    { label: 'Import from another client\u2026', icon: 'upload', onClick: showClientImportModal },
+    { label: 'Backups\u2026', icon: 'history', onClick: showBackupsModal },
+    'separator',
+    { label: 'Team layout\u2026', icon: 'lock', onClick: showTeamLayoutModal },
+  ], x, y);
+}
+
+/**
+ * Show a floating context menu.
+ * Items are { label, icon, danger, disabled, onClick } objects or the string 'separator'.
+ * Up/Down, Home/End and first letters move between items, Enter/Space picks one, and
+ * Escape or Tab closes the menu and returns focus to where it was.
+ */
+function showContextMenu(items, x, y) {
+  // A menu replacing another one returns focus to where the first was opened from
+  var opener = document.activeElement;
+  if (opener && opener.closest && opener.closest('[role="menu"]')) opener = contextMenuOpener;
+  contextMenuOpener = opener;
+
+  // Close any existing context menu
+  globalThis.dispatchEvent(new CustomEvent('closeContextMenus'));
+
+  var menu = document.createElement('div');
+  menu.className = 'fixed z-[100] min-w-[140px] bg-crust border border-surface-0/50 rounded-lg shadow-xl py-1';
+  menu.style.left = '0';
+  menu.style.top = '0';
+  menu.style.transform = 'translate3d(' + x + 'px, ' + y + 'px, 0)';
+  menu.setAttribute('role', 'menu');
+  menu.tabIndex = -1;
+
+  items.forEach(function(item) {
+    if (item === 'separator') {
+      var sep = document.createElement('div');
+      sep.className = 'h-px bg-surface-0/30 my-1';
+      menu.appendChild(sep);
+      return;
+    }
+
+    var btn = document.createElement('button');
+    if (item.disabled) {
+      btn.className = 'w-full flex items-center gap-2 px-3 py-1.5 text-xs text-text-muted opacity-60 cursor-default';
+      btn.disabled = true;
+      btn.setAttribute('aria-disabled', 'true');
+    } else {
+      btn.className = item.danger
+        ? 'w-full flex items-center gap-2 px-3 py-1.5 text-xs text-error hover:bg-error/10 transition-colors'
+        : 'w-full flex items-center gap-2 px-3 py-1.5 text-xs text-text hover:bg-surface-0/50 transition-colors';
+    }
+    btn.setAttribute('role', 'menuitem');
+    btn.tabIndex = -1;
+    var icon = document.createElement('span');
+    if (item.icon) icon.appendChild(createSvgIcon(item.icon, 12));
+    btn.appendChild(icon);
+    var label = document.createElement('span');
+    label.textContent = item.label;
+    btn.appendChild(label);
+    btn.addEventListener('click', function(e) {
+      e.stopPropagation();
+      if (item.disabled) return;
+      closeMenu();
+      restoreFocus();
+      item.onClick();
+    });
+    menu.appendChild(btn);
+  });
+
+  // Close helpers
+  function closeMenu() {
+    if (menu.parentNode) menu.parentNode.removeChild(menu);
+    document.removeEventListener('click', onDocClick);
+    globalThis.removeEventListener('closeContextMenus', closeMenu);
+  }
+  function onDocClick() { closeMenu(); }
+  function restoreFocus() {
+    if (opener && opener !== document.body && opener.isConnected) opener.focus();
+  }
+
+  document.addEventListener('click', onDocClick);
+  globalThis.addEventListener('closeContextMenus', closeMenu);
+
+  menu.addEventListener('click', function(e) { e.stopPropagation(); });
+  menu.addEventListener('keydown', function(e) {
+    var buttons = Array.prototype.slice.call(menu.querySelectorAll('[role="menuitem"]:not([disabled])'));
+    var index = buttons.indexOf(document.activeElement);
+    var next = null;
+    if (e.key === 'Escape' || e.key === 'Tab') {
+      e.preventDefault();
+      e.stopPropagation();
+      closeMenu();
+      restoreFocus();
+      return;
+    } else if (e.key === 'ArrowDown') {
+      next = buttons[(index + 1) % buttons.length];
+    } else if (e.key === 'ArrowUp') {
+      next = buttons[(index - 1 + buttons.length) % buttons.length];
+    } else if (e.key === 'Home') {
+      next = buttons[0];
+    } else if (e.key === 'End') {
+      next = buttons[buttons.length - 1];
+    } else if (e.key.length === 1 && e.key !== ' ' && !e.ctrlKey && !e.metaKey) {
+      // Jump to the next item starting with the letter
+      var letter = e.key.toLowerCase();
+      for (var i = 1; i <= buttons.length; i++) {
+        var candidate = buttons[(index + i) % buttons.length];
+        if (candidate.textContent.trim().toLowerCase().indexOf(letter) === 0) {
+          next = candidate;
+          break;
+        }
+      }
+    }
+    if (!next) return;
+    e.preventDefault();
+    next.focus();
+  });
+
+  document.body.appendChild(menu);
+  var first = menu.querySelector('[role="menuitem"]:not([disabled])');
+  if (first) first.focus();
+  else menu.focus();
+
+  return closeMenu;
+}
+
+/**
+ * Ask how to open every session in a folder, then connect them with a stagger.
+ * Opening more than OPEN_ALL_CONFIRM_THRESHOLD sessions needs a second confirmation.
+ */
+async function showOpenAllSessionsModal(folder) {
+  if (typeof api.connectSession !== 'function' && typeof api.openSession !== 'function') {
+    api.showNotification('This version of SimplyTerm cannot open sessions from plugins', 'info');
+    return;
+  }
+
+  const settings = { ...openAllSettings };
+  const sessionsIn = () => getFolderSessionsInOrder(folder.id, settings.recursive);
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-3 text-sm';
+
+  const countEl = document.createElement('div');
+  countEl.className = 'text-xs text-text-muted';
+  contentEl.appendChild(countEl);
+
+  const recursiveRow = document.createElement('label');
+  recursiveRow.className = 'flex items-center gap-2 text-xs text-text cursor-pointer select-none';
+  const recursiveInput = document.createElement('input');
+  recursiveInput.type = 'checkbox';
+  recursiveInput.checked = settings.recursive;
+  recursiveRow.appendChild(recursiveInput);
+  recursiveRow.appendChild(document.createTextNode('Include sub-folders'));
+  contentEl.appendChild(recursiveRow);
+
+  const layoutRow = document.createElement('div');
+  layoutRow.className = 'flex items-center gap-2 text-xs text-text-muted';
+  layoutRow.appendChild(document.createTextNode('Open as'));
+  const layoutSelect = createSelect([
+    { value: 'tabs', label: 'Tabs' },
+    { value: 'split', label: 'Tiled split layout' },
+  ], settings.layout);
+  layoutRow.appendChild(layoutSelect);
+  contentEl.appendChild(layoutRow);
+
+  const staggerRow = document.createElement('div');
+  staggerRow.className = 'flex items-center gap-2 text-xs text-text-muted';
+  staggerRow.appendChild(document.createTextNode('Wait'));
+  const staggerInput = document.createElement('input');
+  staggerInput.type = 'number';
+  staggerInput.min = '0';
+  staggerInput.max = String(MAX_OPEN_ALL_STAGGER);
+  staggerInput.step = '100';
+  staggerInput.value = String(settings.staggerMs);
+  staggerInput.className = FORM_INPUT_CLASS + ' w-20';
+  staggerRow.appendChild(staggerInput);
+  staggerRow.appendChild(document.createTextNode('ms between connections'));
+  contentEl.appendChild(staggerRow);
+
+  function updateCount() {
+    const count = sessionsIn().length;
+    countEl.textContent = count === 0
+      ? 'There are no sessions to open.'
+      : `${count} session(s) will be connected.`;
+  }
+  recursiveInput.addEventListener('change', () => {
+    settings.recursive = recursiveInput.checked;
+    updateCount();
+  });
+  layoutSelect.addEventListener('change', () => { settings.layout = layoutSelect.value; });
+  staggerInput.addEventListener('input', () => { settings.staggerMs = Number(staggerInput.value); });
+  updateCount();
+
+  let result;
+  try {
+    result = await api.showModal({
+      title: `Open sessions in "${getFolderPathLabel(folder.id)}"`,
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: 'Open', variant: 'primary', onClick: () => true },
+      ],
+    });
+  } catch {
+    return; // Modal cancelled
+  }
+  if (!result) return;
+
+  openAllSettings = validateOpenAllSettings(settings).data;
+  saveState();
+
+  const sessions = sessionsIn();
+  if (sessions.length === 0) {
+    api.showNotification('There are no sessions in this folder', 'info');
+    return;
+  }
+
+  if (sessions.length > OPEN_ALL_CONFIRM_THRESHOLD) {
+    try {
+      const confirmed = await api.showModal({
+        title: 'Open many sessions',
+        content: `Connect ${sessions.length} sessions? They will start ${openAllSettings.staggerMs} ms apart.`,
+        buttons: [
+          { label: 'Cancel', variant: 'secondary' },
+          { label: `Open ${sessions.length}`, variant: 'primary', onClick: () => true },
+        ],
+      });
+      if (!confirmed) return;
+    } catch {
+      return; // Modal cancelled
+    }
+  }
+
+  const started = await connectSessions(sessions.map(s => s.id), openAllSettings);
+  if (started < sessions.length && api) {
+    api.showNotification(`Opened ${started} of ${sessions.length} sessions`, 'info');
+  }
+}
+
+/**
+ * Get the existing sessions in a folder in tree order, sorted as the sidebar shows them
+ */
+function getFolderSessionsInOrder(folderId, recursive) {
+  const index = getTreeIndex();
+  const result = [];
+  (function collect(id) {
+    const childFolders = recursive ? index.childFolders.get(id) || [] : [];
+    orderFolderContents(childFolders, index.sessionsByFolder.get(id) || [], index.sorts.get(id), index).forEach(entry => {
+      if (entry.folder) collect(entry.folder.id);
+      else result.push(entry.session);
+    });
+  })(folderId);
+  return result;
+}
+
+/**
+ * Format environment variables as KEY=VALUE lines
+ */
+function formatEnvText(env) {
+  return Object.entries(env || {}).map(([name, value]) => `${name}=${value}`).join('\n');
+}
+
+/**
+ * Parse KEY=VALUE lines; blank lines and # comments are ignored.
+ * Returns { env, invalid } with the lines that could not be read.
+ */
+function parseEnvText(text) {
+  const env = {};
+  const invalid = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const match = line.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+    if (match) env[match[1]] = match[2];
+    else invalid.push(line);
+  }
+  return { env, invalid };
+}
+
+/**
+ * Describe where an effective setting comes from
+ */
+function describeSettingSource(source) {
+  if (!source) return '';
+  return source.type === 'session' ? 'set on the session' : `from "${getFolderPathLabel(source.folderId)}"`;
+}
+
+/**
+ * Edit a folder's connection defaults. Empty fields fall back to what the parent folders set,
+ * which is shown as the placeholder. entered: field key -> text to show instead of the saved
+ * value, used to reopen the dialog after a rejected save.
+ */
+async function showFolderDefaultsModal(folder, entered = null) {
+  const inherited = resolveFolderDefaults(folder.parentId || null);
+  const current = folder.defaults || {};
+  const inputs = {};
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-2 text-sm';
+
+  const intro = document.createElement('div');
+  intro.className = 'text-xs text-text-muted';
+  intro.textContent = 'Sessions in this folder and its sub-folders use these values unless they set their own.';
+  contentEl.appendChild(intro);
+
+  for (const field of FOLDER_DEFAULT_FIELDS) {
+    const row = document.createElement('label');
+    row.className = 'block space-y-0.5';
+    const label = document.createElement('span');
+    label.className = 'block text-[10px] text-text-muted uppercase tracking-wider';
+    label.textContent = field.label;
+    row.appendChild(label);
+
+    const inheritedValue = field.type === 'env'
+      ? formatEnvText(inherited.settings.env)
+      : inherited.settings[field.key];
+    const input = document.createElement(field.type === 'env' ? 'textarea' : 'input');
+    if (field.type === 'env') {
+      input.className = 'w-full h-16 font-mono ' + FORM_INPUT_CLASS;
+      input.value = formatEnvText(current.env);
+    } else {
+      input.type = field.type === 'port' ? 'number' : 'text';
+      if (field.type === 'port') {
+        input.min = '1';
+        input.max = '65535';
+      }
+      input.className = 'w-full ' + FORM_INPUT_CLASS;
+      input.value = current[field.key] !== undefined ? String(current[field.key]) : '';
+    }
+    if (entered) input.value = entered[field.key];
+    input.placeholder = inheritedValue
+      ? `Inherited: ${inheritedValue}`
+      : (field.type === 'env' ? 'KEY=VALUE, one per line' : field.placeholder || '');
+    row.appendChild(input);
+    inputs[field.key] = input;
+    contentEl.appendChild(row);
+  }
+
+  let result;
+  try {
+    result = await api.showModal({
+      title: `Connection defaults for "${folder.name}"`,
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: 'Save', variant: 'primary', onClick: () => true },
+      ],
+    });
+  } catch {
+    return; // Modal cancelled
+  }
+  if (!result) return;
+
+  const defaults = {};
+  const values = {};
+  let invalidEnv = [];
+  for (const field of FOLDER_DEFAULT_FIELDS) {
+    const value = inputs[field.key].value;
+    values[field.key] = value;
+    if (field.type === 'env') {
+      const parsed = parseEnvText(value);
+      defaults.env = parsed.env;
+      invalidEnv = parsed.invalid;
+    } else {
+      defaults[field.key] = value;
+    }
+  }
+  // Nothing is saved while a field is invalid: the dialog comes back with what was entered
+  if (defaults.port !== '' && !sanitizeFolderDefaults({ port: defaults.port })) {
+    api.showNotification('Port must be a number from 1 to 65535', 'error');
+    return showFolderDefaultsModal(folder, values);
+  }
+  if (invalidEnv.length > 0) {
+    api.showNotification(`Environment lines must be KEY=VALUE: ${invalidEnv.join(', ')}`, 'error');
+    return showFolderDefaultsModal(folder, values);
+  }
+  await updateFolder(folder.id, { defaults });
+}
+
+/**
+ * Show the connection settings a session gets, and where each one comes from
+ */
+async function showEffectiveSettingsModal(sessionId) {
+  const session = api.getAllSessions().find(s => s.id === sessionId);
+  const { settings, sources } = getEffectiveSettings(sessionId);
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-1 text-xs';
+
+  function addRow(label, value, source) {
+    const row = document.createElement('div');
+    row.className = 'flex items-baseline gap-2';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'w-32 flex-shrink-0 text-text-muted';
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+    const valueEl = document.createElement('span');
+    valueEl.className = 'flex-1 min-w-0 truncate font-mono text-text';
+    valueEl.textContent = value;
+    row.appendChild(valueEl);
+    const sourceEl = document.createElement('span');
+    sourceEl.className = 'flex-shrink-0 text-[10px] text-text-muted';
+    sourceEl.textContent = describeSettingSource(source);
+    row.appendChild(sourceEl);
+    contentEl.appendChild(row);
+  }
+
+  let shown = 0;
+  for (const field of FOLDER_DEFAULT_FIELDS) {
+    if (field.type === 'env') {
+      for (const [name, value] of Object.entries(settings.env || {})) {
+        addRow(`$${name}`, value, sources.env[name]);
+        shown++;
+      }
+    } else if (settings[field.key] !== undefined) {
+      addRow(field.label, String(settings[field.key]), sources[field.key]);
+      shown++;
+    }
+  }
+  if (shown === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'text-text-muted';
+    empty.textContent = sessionFolders[sessionId]
+      ? 'Neither this session nor its folders set any connection defaults.'
+      : 'This session is not in a folder, so no folder defaults apply.';
+    contentEl.appendChild(empty);
+  }
+
+  try {
+    await api.showModal({
+      title: `Effective settings: ${session ? session.name || session.id : sessionId}`,
+      content: contentEl,
+      buttons: [
+        { label: 'Close', variant: 'secondary' },
+      ],
+    });
+  } catch {
+    // Modal closed
+  }
+}
+
+/**
+ * Choose the tags of one or more sessions. Tags only some of the sessions have start
+ * half-checked and are left alone unless clicked. New tags can be created inline.
+ */
+async function showSessionTagsModal(sessionIds) {
+  if (sessionIds.length === 0) return;
+  const states = {}; // tagId -> true (all), false (none) or null (some, unchanged)
+  const initial = {};
+  for (const tag of tags) {
+    const count = sessionIds.filter(id => (sessionTags[id] || []).includes(tag.id)).length;
+    initial[tag.id] = count === 0 ? false : count === sessionIds.length ? true : null;
+    states[tag.id] = initial[tag.id];
+  }
+  const newTagNames = [];
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-2 text-sm';
+
+  const listEl = document.createElement('div');
+  listEl.className = 'space-y-0.5 max-h-[240px] overflow-y-auto';
+  contentEl.appendChild(listEl);
+
+  function addTagRow(name, color, checked, onChange) {
+    const row = document.createElement('label');
+    row.className = 'flex items-center gap-2 px-2 py-1 rounded hover:bg-white/5 cursor-pointer select-none text-xs text-text';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked === true;
+    checkbox.indeterminate = checked === null;
+    checkbox.addEventListener('change', () => onChange(checkbox.checked));
+    row.appendChild(checkbox);
+    const dot = document.createElement('span');
+    dot.className = 'w-2 h-2 rounded-full shrink-0';
+    dot.style.backgroundColor = color;
+    row.appendChild(dot);
+    const label = document.createElement('span');
+    label.className = 'flex-1 truncate';
+    label.textContent = name;
+    row.appendChild(label);
+    listEl.appendChild(row);
+  }
+
+  for (const tag of tags) {
+    addTagRow(tag.name, tag.color, states[tag.id], (checked) => { states[tag.id] = checked; });
+  }
+  if (tags.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'tags-empty text-xs text-text-muted text-center py-2 opacity-60';
+    empty.textContent = 'No tags yet';
+    listEl.appendChild(empty);
+  }
+
+  const newRow = document.createElement('div');
+  newRow.className = 'flex items-center gap-2';
+  const newInput = document.createElement('input');
+  newInput.type = 'text';
+  newInput.className = 'flex-1 ' + FORM_INPUT_CLASS;
+  newInput.placeholder = 'New tag...';
+  newRow.appendChild(newInput);
+  const newBtn = document.createElement('button');
+  newBtn.type = 'button';
+  newBtn.className = 'text-[10px] text-text-muted hover:text-accent transition-colors';
+  newBtn.textContent = '+ Add';
+  newRow.appendChild(newBtn);
+  contentEl.appendChild(newRow);
+
+  function addNewTag() {
+    const name = newInput.value.trim();
+    if (!name) return;
+    const existing = tags.find(t => t.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      states[existing.id] = true;
+    } else if (!newTagNames.some(n => n.toLowerCase() === name.toLowerCase())) {
+      const emptyEl = listEl.querySelector('.tags-empty');
+      if (emptyEl) emptyEl.remove();
+      newTagNames.push(name);
+      addTagRow(name, DEFAULT_FOLDER_COLOR, true, (checked) => {
+        const index = newTagNames.indexOf(name);
+        if (checked && index === -1) newTagNames.push(name);
+        if (!checked && index !== -1) newTagNames.splice(index, 1);
+      });
+    }
+    newInput.value = '';
+  }
+  newBtn.addEventListener('click', addNewTag);
+  newInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      e.stopPropagation();
+      addNewTag();
+    }
+  });
+
+  let result;
+  try {
+    result = await api.showModal({
+      title: sessionIds.length === 1 ? 'Tags' : `Tags of ${sessionIds.length} sessions`,
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: 'Save', variant: 'primary', onClick: () => true },
+      ],
+    });
+  } catch {
+    return; // Modal cancelled
+  }
+  if (!result) return;
+  addNewTag();
+
+  await withHistoryGroup('Change tags', async () => {
+    const add = Object.keys(states).filter(id => states[id] === true && initial[id] !== true);
+    const remove = Object.keys(states).filter(id => states[id] === false && initial[id] !== false);
+    for (const name of newTagNames) {
+      const tag = await createTag(name);
+      add.push(tag.id);
+    }
+    await changeSessionTags(sessionIds, { add, remove });
+  });
+}
+
+/**
+ * Rename, recolor, add and delete tags.
+ * entered: the edited list to show instead of the saved tags, used to reopen it after a rejected save.
+ */
+async function showManageTagsModal(entered = null) {
+  const draft = entered || tags.map(tag => ({ ...tag, isNew: false }));
+  let selectedIndex = draft.length > 0 ? 0 : -1;
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'space-y-3 text-sm';
+
+  const listEl = document.createElement('div');
+  listEl.className = 'space-y-1 max-h-[220px] overflow-y-auto';
+  contentEl.appendChild(listEl);
+
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'text-[10px] text-text-muted hover:text-accent transition-colors';
+  addBtn.textContent = '+ New tag';
+  addBtn.addEventListener('click', () => {
+    draft.push({ id: null, name: '', color: DEFAULT_FOLDER_COLOR, isNew: true });
+    selectedIndex = draft.length - 1;
+    renderRows();
+    const inputs = listEl.querySelectorAll('input');
+    inputs[inputs.length - 1].focus();
+  });
+  contentEl.appendChild(addBtn);
+
+  const colorEl = document.createElement('div');
+  contentEl.appendChild(colorEl);
+
+  function renderColorField() {
+    colorEl.textContent = '';
+    const tag = draft[selectedIndex];
+    if (!tag) return;
+    colorEl.appendChild(createColorField(tag.color, (color) => {
+      tag.color = color;
+      const dot = listEl.children[selectedIndex] && listEl.children[selectedIndex].querySelector('.tag-color-dot');
+      if (dot) dot.style.backgroundColor = color;
+    }));
+  }
+
+  function renderRows() {
+    listEl.textContent = '';
+    draft.forEach((tag, index) => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-2 px-1 py-0.5 rounded ' + (index === selectedIndex ? 'bg-accent/10' : '');
+
+      const dot = document.createElement('button');
+      dot.type = 'button';
+      dot.className = 'tag-color-dot w-4 h-4 rounded-full border border-surface-0/50 shrink-0';
+      dot.style.backgroundColor = tag.color;
+      dot.title = 'Change color';
+      dot.addEventListener('click', () => {
+        selectedIndex = index;
+        renderRows();
+      });
+      row.appendChild(dot);
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'flex-1 ' + FORM_INPUT_CLASS;
+      nameInput.placeholder = 'Tag name...';
+      nameInput.value = tag.name;
+      nameInput.addEventListener('input', () => { tag.name = nameInput.value; });
+      nameInput.addEventListener('focus', () => {
+        if (selectedIndex === index) return;
+        selectedIndex = index;
+        Array.from(listEl.children).forEach((el, i) => el.classList.toggle('bg-accent/10', i === index));
+        renderColorField();
+      });
+      row.appendChild(nameInput);
+
+      const count = tag.id ? Object.values(sessionTags).filter(ids => ids.includes(tag.id)).length : 0;
+      const countEl = document.createElement('span');
+      countEl.className = 'text-[10px] text-text-muted w-6 text-right';
+      countEl.textContent = String(count);
+      countEl.title = `${count} session(s)`;
+      row.appendChild(countEl);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'p-1 rounded text-text-muted hover:text-error hover:bg-error/10 transition-colors';
+      removeBtn.title = 'Delete tag';
+      removeBtn.appendChild(createSvgIcon('trash', 12));
+      removeBtn.addEventListener('click', () => {
+        draft.splice(index, 1);
+        selectedIndex = Math.min(selectedIndex, draft.length - 1);
+        renderRows();
+      });
+      row.appendChild(removeBtn);
+
+      listEl.appendChild(row);
+    });
+    if (draft.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'text-xs text-text-muted text-center py-2 opacity-60';
+      empty.textContent = 'No tags yet';
+      listEl.appendChild(empty);
+    }
+    renderColorField();
+  }
+  renderRows();
+
+  let result;
+  try {
+    result = await api.showModal({
+      title: 'Manage tags',
+      content: contentEl,
+      buttons: [
+        { label: 'Cancel', variant: 'secondary' },
+        { label: 'Save', variant: 'primary', onClick: () => true },
+      ],
+    });
+  } catch {
+    return; // Modal cancelled
+  }
+  if (!result) return;
+
+  // Tags are only deleted with their trash button: a cleared name is sent back for a new one
+  const unnamed = draft.filter(tag => !tag.isNew && !tag.name.trim()).length;
+  if (unnamed > 0) {
+    api.showNotification(`${unnamed} tag(s) have no name. Name them, or delete them with the trash button.`, 'error');
+    return showManageTagsModal(draft);
+  }
+
+  const kept = draft.filter(tag => tag.name.trim());
+  const keptIds = new Set(kept.map(tag => tag.id).filter(Boolean));
+  await withHistoryGroup('Edit tags', async () => {
+    for (const tag of tags.filter(t => !keptIds.has(t.id))) {
+      await deleteTag(tag.id);
+    }
+    for (const tag of kept) {
+      if (tag.isNew) {
+        await createTag(tag.name.trim(), tag.color);
+        continue;
+      }
+      const current = tags.find(t => t.id === tag.id);
+      if (current && (current.name !== tag.name.trim() || current.color !== tag.color)) {
+        await updateTag(tag.id, { name: tag.name.trim(), color: tag.color });
+      }
+    }
+  });
+}
+
+/**
+ * Show the folder context menu (shared by the sidebar tree and the home panel)
+ */
+function showFolderContextMenu(folder, x, y) {
+  if (folder.shared) {
+    // Team layout folders can only be used, not edited
+    return showContextMenu([
+      { label: 'Open all sessions\u2026', icon: 'chevron', onClick: () => showOpenAllSessionsModal(folder) },
+      { label: 'Select all sessions', icon: 'list', onClick: () => selectAllInFolder(folder.id) },
+      { label: 'Sort\u2026', icon: 'sort', onClick: () => showSortModal(folder) },
+      { label: 'Export\u2026', icon: 'download', onClick: () => showExportModal(folder.id) },
+      'separator',
+      { label: 'Shared team folder (read-only)', icon: 'lock', disabled: true },
+    ], x, y);
+  }
+  return showContextMenu([
+    { label: 'Rename', icon: 'pencil', onClick: () => showRenameFolderPrompt(folder) },
+    { label: 'Change color', icon: 'palette', onClick: () => showColorPicker(folder) },
+    { label: 'New sub-folder here', icon: 'folder-plus', onClick: () => showAddSubFolderPrompt(folder) },
+    { label: 'Move to\u2026', icon: 'move', onClick: () => showMoveFolderPicker(folder) },
+    { label: 'Connection defaults\u2026', icon: 'pencil', onClick: () => showFolderDefaultsModal(folder) },
+    { label: 'Open all sessions\u2026', icon: 'chevron', onClick: () => showOpenAllSessionsModal(folder) },
+    { label: 'Select all sessions', icon: 'list', onClick: () => selectAllInFolder(folder.id) },
+    { label: 'Sort\u2026', icon: 'sort', onClick: () => showSortModal(folder) },
+    { label: 'Export\u2026', icon: 'download', onClick: () => showExportModal(folder.id) },
+    'separator',
+    { label: 'Delete', icon: 'trash', danger: true, onClick: () => confirmDeleteFolder(folder) },
+  ], x, y);
+}
+
+/**
+ * Show the smart folder context menu (shared by the sidebar tree and the home panel)
+ */
+function showSmartFolderContextMenu(smartFolder, x, y) {
+  return showContextMenu([
+    { label: 'Edit rules\u2026', icon: 'smart-folder', onClick: () => showSmartFolderEditor(smartFolder) },
+    'separator',
+    { label: 'Delete', icon: 'trash', danger: true, onClick: () => confirmDeleteSmartFolder(smartFolder) },
+  ], x, y);
+}
+
+/**
+ * Get the IDs of existing sessions filed in a folder, optionally including its sub-folders
+ */
+function getSessionIdsInFolder(folderId, recursive = false) {
+  const index = getTreeIndex();
+  const ids = [];
+  (function collect(id) {
+    (index.sessionsByFolder.get(id) || []).forEach(session => ids.push(session.id));
+    if (recursive) (index.childFolders.get(id) || []).forEach(child => collect(child.id));
+  })(folderId);
+  return ids;
+}
+
+/**
+ * Dispatch the home panel session filter for a folder (null = "All")
+ */
+function dispatchFolderFilter(folderId) {
+  activeFolderFilter = folderId;
+  var sessionIds = null;
+  var label = null;
+  var activeTags = tags.filter(function(t) { return activeTagFilter.indexOf(t.id) !== -1; });
+  var smartFolder = folderId ? smartFolders.find(function(f) { return f.id === folderId; }) : null;
+  if (smartFolder) {
+    sessionIds = getSmartFolderSessions(smartFolder, api.getAllSessions()).map(function(session) { return session.id; });
+    label = smartFolder.name;
+  } else if (folderId) {
+    sessionIds = getSessionIdsInFolder(folderId, homeFilterRecursive);
+    label = getFolderPathLabel(folderId);
+    if (!homeFilterRecursive && getDescendantFolderIds(folderId).length > 0) {
+      label += ' (this folder only)';
+    }
+  }
+  // Combine with the tag filter: sessions must also match the active tags
+  if (activeTags.length > 0) {
+    var tagged = getSessionIdsWithTags(activeTags.map(function(t) { return t.id; }), tagFilterMode);
+    sessionIds = sessionIds ? sessionIds.filter(function(id) { return tagged.indexOf(id) !== -1; }) : tagged;
+    var tagLabel = activeTags.map(function(t) { return '#' + t.name; }).join(tagFilterMode === 'all' ? ' and ' : ' or ');
+    label = label ? label + ' \u00b7 ' + tagLabel : tagLabel;
+  }
+  globalThis.dispatchEvent(new CustomEvent('home-panel-session-filter', {
+    detail: { sessionIds: sessionIds, label: label },
+  }));
+}
+
+/**
+ * Re-emit the active home panel filter after folders or mappings changed
+ */
+function syncFolderFilter() {
+  activeTagFilter = activeTagFilter.filter(id => tags.some(t => t.id === id));
+  if (!activeFolderFilter && activeTagFilter.length === 0) return;
+  if (!activeFolderFilter || folders.some(f => f.id === activeFolderFilter) || smartFolders.some(f => f.id === activeFolderFilter)) {
+    dispatchFolderFilter(activeFolderFilter);
+  } else {
+    dispatchFolderFilter(null);
+  }
+}
+
+const API_VERSION = 2;
+const API_EVENT_TYPES = [
+  'folder-created',
+  'folder-updated',
+  'folder-deleted',
+  'session-moved',
+  'smart-folder-created',
+  'smart-folder-updated',
+  'smart-folder-deleted',
+  'tag-created',
+  'tag-updated',
+  'tag-deleted',
+  'session-tags-changed',
+  'sessions-reordered',
+  'sort-changed',
+  'sessions-changed',
+  'state-replaced',
+];
+
+/**
+ * Throw unless a value is a non-empty string
+ */
+function assertId(value, name) {
+  if (typeof value !== 'string' || !value) {
+    throw new TypeError(`[Folders] ${name} must be a non-empty string`);
+  }
+}
+
+/**
+ * Look up a folder by ID for the public API, throwing if it does not exist
+ */
+function requireFolder(folderId, name = 'folderId') {
+  assertId(folderId, name);
+  const folder = folders.find(f => f.id === folderId);
+  if (!folder) throw new Error(`[Folders] Unknown folder "${folderId}"`);
+  return folder;
+}
+
+/**
+ * Look up a folder that may be changed: shared team layout folders are read-only
+ */
+function requireEditableFolder(folderId, name = 'folderId') {
+  const folder = requireFolder(folderId, name);
+  if (folder.shared) {
+    throw new Error(`[Folders] Folder "${folderId}" belongs to the shared team layout and cannot be changed`);
+  }
+  return folder;
+}
+
+/**
+ * Validate an optional target folder (null/undefined = root or uncategorized)
+ */
+function optionalFolderId(folderId, name = 'folderId') {
+  if (folderId === null || folderId === undefined) return null;
+  return requireFolder(folderId, name).id;
+}
+
+/**
+ * Validate a folder name
+ */
+function assertFolderName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new TypeError('[Folders] name must be a non-empty string');
+  }
+}
+
+/**
+ * Validate an optional folder color
+ */
+function assertFolderColor(color) {
+  if (color !== null && color !== undefined && !isValidHexColor(color)) {
+    throw new TypeError('[Folders] color must be a hex color such as "#89b4fa"');
+  }
+}
+
+/**
+ * Validate folder connection defaults passed to the public API (null clears them)
+ */
+function assertFolderDefaults(defaults) {
+  if (defaults === null) return;
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+    throw new TypeError('[Folders] defaults must be an object or null');
+  }
+  const keys = FOLDER_DEFAULT_FIELDS.map(field => field.key);
+  const unknown = Object.keys(defaults).filter(key => !keys.includes(key));
+  if (unknown.length > 0) {
+    throw new TypeError(`[Folders] Unknown default(s): ${unknown.join(', ')}`);
+  }
+  const sanitized = sanitizeFolderDefaults(defaults) || {};
+  const dropped = Object.keys(defaults).filter(key => {
+    const value = defaults[key];
+    if (value === null || value === '') return false;
+    if (key === 'env') {
+      return !value || typeof value !== 'object'
+        || Object.keys(value).length !== Object.keys(sanitized.env || {}).length;
+    }
+    return !(key in sanitized);
+  });
+  if (dropped.length > 0) {
+    throw new TypeError(`[Folders] Invalid value for ${dropped.join(', ')}`);
+  }
+}
+
+/**
+ * Build the nested folder tree with the existing sessions filed directly in each folder
+ */
+function getFolderTree(parentId = null) {
+  return folders
+    .filter(f => (f.parentId || null) === parentId)
+    .sort((a, b) => a.order - b.order)
+    .map(folder => ({
+      ...toPublicFolder(folder),
+      sessionIds: getSessionIdsInFolder(folder.id),
+      children: getFolderTree(folder.id),
+    }));
+}
+
+/**
+ * Find a folder by its path of names, e.g. "Prod/EU" or ["Prod", "EU"].
+ * Exact names are preferred over case-insensitive matches.
+ */
+function findFolderByPath(path) {
+  const names = (Array.isArray(path) ? path : splitFolderPath(path)).map(name => String(name).trim()).filter(Boolean);
+  if (names.length === 0) return null;
+
+  let parentId = null;
+  let folder = null;
+  for (const name of names) {
+    const children = folders.filter(f => (f.parentId || null) === parentId);
+    folder = children.find(f => f.name === name)
+      || children.find(f => f.name.toLowerCase() === name.toLowerCase());
+    if (!folder) return null;
+    parentId = folder.id;
+  }
+  return folder;
+}
+
+/**
+ * Build window.SimplyTermFoldersAPI. Every entry point validates its input and throws
+ * TypeError for malformed arguments and Error for unknown folders or invalid moves.
+ * Returned folders are copies.
+ */
+function createPublicApi() {
+  return {
+    apiVersion: API_VERSION,
+    events: [...API_EVENT_TYPES],
+
+    getFolders() {
+      return folders.map(toPublicFolder);
+    },
+
+    getFolder(folderId) {
+      assertId(folderId, 'folderId');
+      return toPublicFolder(folders.find(f => f.id === folderId));
+    },
+
+    getFolderTree() {
+      return getFolderTree();
+    },
+
+    getFolderPath(folderId) {
+      requireFolder(folderId);
+      return getFolderPath(folderId).map(toPublicFolder);
+    },
+
+    findFolderByPath(path) {
+      if (typeof path !== 'string' && !Array.isArray(path)) {
+        throw new TypeError('[Folders] path must be a string such as "Prod/EU" or an array of names');
+      }
+      return toPublicFolder(findFolderByPath(path));
+    },
+
+    getSessionFolder(sessionId) {
+      assertId(sessionId, 'sessionId');
+      return getSessionFolder(sessionId);
+    },
+
+    getTags() {
+      return tags.map(tag => ({ ...tag }));
+    },
+
+    getSessionTags(sessionId) {
+      assertId(sessionId, 'sessionId');
+      return getSessionTags(sessionId).map(tag => ({ ...tag }));
+    },
+
+    getFolderDefaults(folderId) {
+      return toPublicFolder(requireFolder(folderId)).defaults;
+    },
+
+    getEffectiveSettings(sessionId) {
+      assertId(sessionId, 'sessionId');
+      return JSON.parse(JSON.stringify(getEffectiveSettings(sessionId)));
+    },
+
+    getSessionsInFolder(folderId, { recursive = false } = {}) {
+      requireFolder(folderId);
+      const ids = new Set(getSessionIdsInFolder(folderId, !!recursive));
+      return api.getAllSessions().filter(s => ids.has(s.id));
+    },
+
+    async createFolder(name, color = null, parentId = null) {
+      assertFolderName(name);
+      assertFolderColor(color);
+      const parent = parentId === null || parentId === undefined ? null : requireEditableFolder(parentId, 'parentId');
+      const folder = await createFolder(name.trim(), color, parent ? parent.id : null);
+      return toPublicFolder(folder);
+    },
+
+    async updateFolder(folderId, updates) {
+      const folder = requireEditableFolder(folderId);
+      if (!updates || typeof updates !== 'object') {
+        throw new TypeError('[Folders] updates must be an object');
+      }
+      const unknown = Object.keys(updates).filter(key => !['name', 'color', 'parentId', 'order', 'defaults'].includes(key));
+      if (unknown.length > 0) {
+        throw new TypeError(`[Folders] Cannot update ${unknown.join(', ')}`);
+      }
+      if (updates.name !== undefined) assertFolderName(updates.name);
+      if (updates.color !== undefined) {
+        assertFolderColor(updates.color);
+        if (!updates.color) throw new TypeError('[Folders] color cannot be empty');
+      }
+      if (updates.order !== undefined && !(Number.isInteger(updates.order) && updates.order >= 0)) {
+        throw new TypeError('[Folders] order must be a non-negative integer');
+      }
+      if (updates.defaults !== undefined) assertFolderDefaults(updates.defaults);
 
-  // Get sessions without a folder
-  const unfolderedSessions = sessions.filter(s => !sessionFolders[s.id]);
+      let parentId = folder.parentId || null;
+      if (updates.parentId !== undefined) {
+        parentId = updates.parentId === null ? null : requireEditableFolder(updates.parentId, 'parentId').id;
+      }
+      const moving = updates.order !== undefined || parentId !== (folder.parentId || null);
+      if (moving && !canMoveFolder(folderId, parentId)) {
+        throw new Error('[Folders] A folder cannot be moved into itself or one of its sub-folders');
+      }
 
-  let html = '';
+      const changes = {};
+      if (updates.name !== undefined) changes.name = updates.name.trim();
+      if (updates.color !== undefined) changes.color = updates.color;
+      if (updates.defaults !== undefined) changes.defaults = updates.defaults;
 
-  // Render folders
-  for (const folder of rootFolders) {
-    html += renderFolderItem(folder, sessions);
-  }
-
-  // Render unfoldered sessions under "Uncategorized" if there are folders
-  if (folders.length > 0 && unfolderedSessions.length > 0) {
-    html += `
-      <div class="uncategorized-section mt-2 pt-2 border-t border-surface-0/30">
-        <div class="text-[10px] text-text-muted uppercase tracking-wider px-2 py-1">Uncategorized</div>
-    `;
-    for (const session of unfolderedSessions) {
-      html += `
-        <div class="session-item flex items-center gap-2 px-2 py-1.5 rounded"
-             data-session-id="${escapeAttr(session.id)}">
-          <span class="text-accent">
-            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect>
-              <line x1="8" y1="21" x2="16" y2="21"></line>
-              <line x1="12" y1="17" x2="12" y2="21"></line>
-            </svg>
-          </span>
-          <span class="text-xs text-text truncate">${escapeHtml(session.name || session.id)}</span>
-        </div>
-      `;
-    }
-    html += `</div>`;
-  }
+      await withHistoryGroup(`Update folder "${folder.name}"`, async () => {
+        if (moving) await moveFolder(folderId, parentId, updates.order);
+        if (Object.keys(changes).length > 0) await updateFolder(folderId, changes);
+      });
+      return toPublicFolder(folder);
+    },
 
-  if (folders.length === 0) {
-    html = `
-      <div class="text-xs text-text-muted text-center py-2 opacity-60">
-        No folders yet
-      </div>
-    `;
-  }
+    async setFolderDefaults(folderId, defaults) {
+      requireEditableFolder(folderId);
+      assertFolderDefaults(defaults);
+      return toPublicFolder(await updateFolder(folderId, { defaults }));
+    },
 
-  listEl.innerHTML = html;
+    async deleteFolder(folderId) {
+      requireEditableFolder(folderId);
+      await deleteFolder(folderId);
+    },
 
-  // Add event listeners for folders
-  listEl.querySelectorAll('.folder-header').forEach(header => {
-    header.addEventListener('click', (e) => {
-      if (e.target.closest('.delete-folder-btn')) return;
-      const folderId = header.dataset.folderId;
-      toggleFolder(folderId);
-    });
-  });
+    async moveSessionToFolder(sessionId, folderId) {
+      assertId(sessionId, 'sessionId');
+      await moveSessionToFolder(sessionId, optionalFolderId(folderId));
+    },
 
-  // Add event listeners for delete buttons
-  listEl.querySelectorAll('.delete-folder-btn').forEach(btn => {
-    btn.addEventListener('click', async (e) => {
-      e.stopPropagation();
-      const folderId = btn.dataset.folderId;
-      const folder = folders.find(f => f.id === folderId);
-      if (!folder) return;
-
-      const childCount = getDescendantFolderIds(folderId).length;
-      const sessionCount = Object.values(sessionFolders).filter(id => id === folderId).length;
-      let message = `Delete folder "${escapeHtml(folder.name)}"?`;
-      if (childCount > 0) message += ` This will also delete ${childCount} sub-folder(s).`;
-      if (sessionCount > 0) message += ` ${sessionCount} session(s) will be moved to root.`;
-
-      try {
-        const result = await api.showModal({
-          title: 'Delete folder',
-          content: message,
-          buttons: [
-            { label: 'Cancel', variant: 'secondary' },
-            { label: 'Delete', variant: 'danger', onClick: () => true },
-          ],
-        });
-        if (result) {
-          await deleteFolder(folderId);
-        }
-      } catch {
-        // Modal cancelled
+    async moveSessionsToFolder(sessionIds, folderId) {
+      if (!Array.isArray(sessionIds)) {
+        throw new TypeError('[Folders] sessionIds must be an array');
       }
-    });
-  });
-
-}
+      sessionIds.forEach((id, i) => assertId(id, `sessionIds[${i}]`));
+      return moveSessionsToFolder(sessionIds, optionalFolderId(folderId));
+    },
 
-/**
- * Create an SVG icon element using safe DOM methods
- */
-function createSvgIcon(type, size) {
-  var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-  svg.setAttribute('width', String(size || 13));
-  svg.setAttribute('height', String(size || 13));
-  svg.setAttribute('viewBox', '0 0 24 24');
+    subscribe(type, handler) {
+      if (type !== '*' && !API_EVENT_TYPES.includes(type)) {
+        throw new TypeError(`[Folders] Unknown event "${type}"`);
+      }
+      if (typeof handler !== 'function') {
+        throw new TypeError('[Folders] handler must be a function');
+      }
+      if (!eventListeners.has(type)) eventListeners.set(type, new Set());
+      eventListeners.get(type).add(handler);
+      return () => {
+        const handlers = eventListeners.get(type);
+        if (handlers) handlers.delete(handler);
+      };
+    },
 
-  if (type === 'list') {
-    svg.setAttribute('fill', 'none');
-    svg.setAttribute('stroke', 'currentColor');
-    svg.setAttribute('stroke-width', '2');
-    var lines = [
-      ['8','6','21','6'], ['8','12','21','12'], ['8','18','21','18'],
-      ['3','6','3.01','6'], ['3','12','3.01','12'], ['3','18','3.01','18'],
-    ];
-    lines.forEach(function(coords) {
-      var line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-      line.setAttribute('x1', coords[0]); line.setAttribute('y1', coords[1]);
-      line.setAttribute('x2', coords[2]); line.setAttribute('y2', coords[3]);
-      svg.appendChild(line);
-    });
-  } else if (type === 'folder') {
-    svg.setAttribute('fill', 'currentColor');
-    svg.setAttribute('stroke', 'none');
-    var path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', 'M3 7v13h18V7H3zm0-2h7l2 2h9v2H3V5z');
-    svg.appendChild(path);
-  } else if (type === 'pencil') {
-    svg.setAttribute('fill', 'none');
-    svg.setAttribute('stroke', 'currentColor');
-    svg.setAttribute('stroke-width', '2');
-    var pPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    pPath.setAttribute('d', 'M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z');
-    svg.appendChild(pPath);
-  } else if (type === 'trash') {
-    svg.setAttribute('fill', 'none');
-    svg.setAttribute('stroke', 'currentColor');
-    svg.setAttribute('stroke-width', '2');
-    var tParts = [
-      { tag: 'polyline', attrs: { points: '3 6 5 6 21 6' } },
-      { tag: 'path', attrs: { d: 'M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2' } },
-    ];
-    tParts.forEach(function(p) {
-      var el = document.createElementNS('http://www.w3.org/2000/svg', p.tag);
-      Object.keys(p.attrs).forEach(function(k) { el.setAttribute(k, p.attrs[k]); });
-      svg.appendChild(el);
-    });
-  }
-  return svg;
+    unsubscribe(type, handler) {
+      const handlers = eventListeners.get(type);
+      return handlers ? handlers.delete(handler) : false;
+    },
+  };
 }
 
 /**
- * Show add folder prompt
+ * Register a session context menu item with the host and remember it for the sidebar's own menu
  */
-async function showAddFolderPrompt() {
-  const name = await api.showPrompt({
-    title: 'New Folder',
-    message: 'Enter a name for the new folder',
-    placeholder: 'Folder name...',
-    confirmLabel: 'Create',
-    cancelLabel: 'Cancel',
-  });
-
-  if (name && name.trim()) {
-    await createFolder(name.trim());
-  }
+function registerSessionMenuItem(item) {
+  sessionMenuItems.push(item);
+  api.registerContextMenuItem(item);
 }
 
 /**
- * Show folder picker modal for moving a session
+ * Show the context menu for a session row. Uses the host's session menu when it can be
+ * opened by plugins; otherwise builds one from open/connect and this plugin's items.
  */
-async function showMoveToFolderMenu(sessionId) {
-  if (folders.length === 0) {
-    api.showNotification('Create a folder first to organize sessions', 'info');
+function showSessionContextMenu(sessionId, x, y) {
+  const context = { type: 'session', targetId: sessionId };
+  if (typeof api.showSessionContextMenu === 'function') {
+    api.showSessionContextMenu(sessionId, x, y);
     return;
   }
 
-  const currentFolderId = sessionFolders[sessionId];
-
-  // Build options with safe DOM methods
-  const contentEl = document.createElement('div');
-  contentEl.className = 'space-y-1';
-
-  // "No folder" option
-  const noFolderOpt = document.createElement('div');
-  noFolderOpt.className = 'px-3 py-2 rounded hover:bg-surface-0/50 cursor-pointer transition-colors text-sm '
-    + (!currentFolderId ? 'text-accent font-medium' : 'text-text');
-  noFolderOpt.textContent = '(No folder)';
-  noFolderOpt.addEventListener('click', async () => {
-    await moveSessionToFolder(sessionId, null);
-    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
-  });
-  contentEl.appendChild(noFolderOpt);
-
-  // Folder options
-  folders.forEach(f => {
-    const opt = document.createElement('div');
-    opt.className = 'px-3 py-2 rounded hover:bg-surface-0/50 cursor-pointer transition-colors flex items-center gap-2 text-sm '
-      + (currentFolderId === f.id ? 'text-accent font-medium' : 'text-text');
-
-    const iconSpan = document.createElement('span');
-    iconSpan.style.color = currentFolderId === f.id ? '' : f.color;
-    if (currentFolderId === f.id) iconSpan.className = 'text-accent';
-    iconSpan.appendChild(createSvgIcon('folder', 14));
-    opt.appendChild(iconSpan);
-
-    const nameSpan = document.createElement('span');
-    nameSpan.textContent = f.name;
-    opt.appendChild(nameSpan);
-
-    opt.addEventListener('click', async () => {
-      await moveSessionToFolder(sessionId, f.id);
-      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
-    });
-    contentEl.appendChild(opt);
-  });
+  const items = [];
+  if (typeof api.openSession === 'function') {
+    items.push({ label: 'Open', icon: 'list', onClick: () => openSessionOrNotify(sessionId) });
+  }
+  if (typeof api.connectSession === 'function' || typeof api.openSession === 'function') {
+    items.push({ label: 'Connect', icon: 'chevron', onClick: () => connectSessionOrNotify(sessionId) });
+  }
+  if (items.length > 0) items.push('separator');
 
-  await api.showModal({
-    title: 'Move to folder',
-    content: contentEl,
-    buttons: [
-      { label: 'Cancel', variant: 'secondary' },
-    ],
-  });
+  for (const item of sessionMenuItems) {
+    items.push({ label: item.label, icon: item.icon, onClick: () => item.onClick(context) });
+  }
+  if (selectedSessionIds.size > 1 && selectedSessionIds.has(sessionId)) {
+    items.push({ label: `Move ${selectedSessionIds.size} selected\u2026`, icon: 'move', onClick: moveSelectedSessions });
+    items.push({ label: `Tag ${selectedSessionIds.size} selected\u2026`, icon: 'tag', onClick: () => showSessionTagsModal([...selectedSessionIds]) });
+  }
+  if (sessionFolders[sessionId]) {
+    items.push({ label: 'Remove from folder', icon: 'trash', onClick: () => moveSessionToFolder(sessionId, null) });
+  }
+  showContextMenu(items, x, y);
 }
 
 /**
@@ -542,23 +7215,112 @@ function renderSidebarSection(container) {
   containerElement = container;
 
   container.innerHTML = `
-    <div class="folders-plugin" data-plugin="${PLUGIN_ID}">
+    <div class="folders-plugin outline-none" data-plugin="${PLUGIN_ID}" tabindex="-1">
       <div class="flex items-center justify-between px-2 mb-1">
         <button class="add-folder-btn text-[10px] text-text-muted hover:text-accent transition-colors">
           + New Folder
         </button>
+        <button class="folder-tools-btn px-1 text-xs text-text-muted hover:text-accent transition-colors" title="More actions">
+          &middot;&middot;&middot;
+        </button>
+      </div>
+      <div class="flex items-center gap-1 px-1 mb-1">
+        <input class="folders-search flex-1 min-w-0 ${FORM_INPUT_CLASS}" type="text"
+               placeholder="Filter folders and sessions..." aria-label="Filter folders and sessions" />
+        <button class="folders-search-hosts px-1.5 py-1 rounded text-[10px] text-text-muted hover:text-accent transition-colors"
+                aria-pressed="false" title="Also match host names">Hosts</button>
+      </div>
+      <div class="folders-selection-bar flex items-center gap-1 mx-1 mb-1 px-2 py-1 rounded bg-accent/10 text-[10px]" style="display: none">
+        <span class="selection-count flex-1 text-accent font-medium"></span>
+        <button class="selection-move-btn px-1.5 py-0.5 rounded text-text hover:bg-white/10 transition-colors" title="Move selected sessions to a folder">Move&hellip;</button>
+        <button class="selection-tag-btn px-1.5 py-0.5 rounded text-text hover:bg-white/10 transition-colors" title="Add or remove tags on selected sessions">Tags&hellip;</button>
+        <button class="selection-remove-btn px-1.5 py-0.5 rounded text-text hover:bg-white/10 disabled:opacity-40 disabled:pointer-events-none transition-colors" title="Make selected sessions uncategorized">Remove from folder</button>
+        <button class="selection-clear-btn px-1 py-0.5 rounded text-text-muted hover:text-text hover:bg-white/10 transition-colors" title="Clear selection (Esc)">&times;</button>
       </div>
-      <div class="folders-list"></div>
+      <div class="folders-list" role="tree" aria-label="Folders" aria-multiselectable="true"></div>
     </div>
   `;
 
+  attachTreeEvents(container.querySelector('.folders-list'));
+
+  // Filter field: matches folder and session names (and hosts when toggled)
+  const searchInput = container.querySelector('.folders-search');
+  const hostsToggle = container.querySelector('.folders-search-hosts');
+  searchInput.value = searchQuery;
+  searchInput.addEventListener('input', () => {
+    searchQuery = searchInput.value.trim();
+    renderList();
+  });
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && searchInput.value) {
+      e.stopPropagation();
+      searchInput.value = '';
+      searchQuery = '';
+      renderList();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      openFirstSearchMatch();
+    }
+  });
+  function updateHostsToggle() {
+    hostsToggle.setAttribute('aria-pressed', String(searchHosts));
+    hostsToggle.classList.toggle('bg-accent/15', searchHosts);
+    hostsToggle.classList.toggle('text-accent', searchHosts);
+  }
+  hostsToggle.addEventListener('click', () => {
+    searchHosts = !searchHosts;
+    updateHostsToggle();
+    renderList();
+  });
+  updateHostsToggle();
+
+  // Selection bar actions
+  container.querySelector('.selection-move-btn').addEventListener('click', moveSelectedSessions);
+  container.querySelector('.selection-remove-btn').addEventListener('click', removeSelectedFromFolders);
+  container.querySelector('.selection-tag-btn').addEventListener('click', () => showSessionTagsModal([...selectedSessionIds]));
+  container.querySelector('.selection-clear-btn').addEventListener('click', clearSessionSelection);
+
   // Add folder button
   container.querySelector('.add-folder-btn').addEventListener('click', showAddFolderPrompt);
 
+  // Tools menu
+  container.querySelector('.folder-tools-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    showFolderToolsMenu(rect.left, rect.bottom + 4);
+  });
+
+  // Undo/redo shortcuts while the Folders sidebar has focus; Escape clears the selection
+  container.querySelector('.folders-plugin').addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && selectedSessionIds.size > 0 && !e.target.closest('input, textarea, select')) {
+      e.stopPropagation();
+      clearSessionSelection();
+      return;
+    }
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    let label = null;
+    if (key === 'z' && !e.shiftKey) {
+      label = undo();
+      if (label) api.showNotification(`Undid: ${label}`, 'info');
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      label = redo();
+      if (label) api.showNotification(`Redid: ${label}`, 'info');
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  });
+
   // Initial render
   renderList();
 
   return () => {
+    unwatchTreeScroll();
+    treeRows = [];
     containerElement = null;
   };
 }
@@ -568,11 +7330,16 @@ function renderSidebarSection(container) {
  */
 async function init(pluginApi) {
   api = pluginApi;
+  instanceId = `window-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
 
   // Load data
-  await loadFolders();
-  await loadSessionFolders();
-  await loadExpandedFolders();
+  await loadState();
+  await loadTeamLayoutCache();
+  reportStorageIssues();
+  await loadBackupIndex();
+  startStateSync();
+  watchTeamLayout();
+  if (getPersonalFolders().length > 0) createBackup('Startup');
 
   // Expand all folders by default if no saved state
   if (expandedFolders.size === 0) {
@@ -590,128 +7357,6 @@ async function init(pluginApi) {
     render: renderSidebarSection,
   });
 
-  // Home panel folder filter state
-  var activeFolderFilter = null; // null = "All"
-
-  function dispatchFolderFilter(folderId, folderName) {
-    activeFolderFilter = folderId;
-    var sessionIds = null;
-    if (folderId) {
-      sessionIds = Object.keys(sessionFolders).filter(function(sid) {
-        return sessionFolders[sid] === folderId;
-      });
-    }
-    globalThis.dispatchEvent(new CustomEvent('home-panel-session-filter', {
-      detail: { sessionIds: sessionIds, label: folderName || null },
-    }));
-  }
-
-  /**
-   * Show a context menu for a folder tab in the home panel
-   */
-  function showFolderContextMenu(folder, x, y, onRefresh) {
-    // Close any existing context menu
-    globalThis.dispatchEvent(new CustomEvent('closeContextMenus'));
-
-    var menu = document.createElement('div');
-    menu.className = 'fixed z-[100] min-w-[140px] bg-crust border border-surface-0/50 rounded-lg shadow-xl py-1';
-    menu.style.left = '0';
-    menu.style.top = '0';
-    menu.style.transform = 'translate3d(' + x + 'px, ' + y + 'px, 0)';
-    menu.setAttribute('role', 'menu');
-    menu.tabIndex = -1;
-
-    // Rename
-    var renameBtn = document.createElement('button');
-    renameBtn.className = 'w-full flex items-center gap-2 px-3 py-1.5 text-xs text-text hover:bg-surface-0/50 transition-colors';
-    var renameIcon = document.createElement('span');
-    renameIcon.appendChild(createSvgIcon('pencil', 12));
-    renameBtn.appendChild(renameIcon);
-    var renameLabel = document.createElement('span');
-    renameLabel.textContent = 'Rename';
-    renameBtn.appendChild(renameLabel);
-    renameBtn.addEventListener('click', function(e) {
-      e.stopPropagation();
-      closeMenu();
-      api.showPrompt({
-        title: 'Rename Folder',
-        message: 'Enter a new name',
-        placeholder: 'Folder name...',
-        defaultValue: folder.name,
-        confirmLabel: 'Rename',
-        cancelLabel: 'Cancel',
-      }).then(function(newName) {
-        if (newName && newName.trim()) {
-          updateFolder(folder.id, { name: newName.trim() });
-          // Update filter label if this folder is active
-          if (activeFolderFilter === folder.id) {
-            dispatchFolderFilter(folder.id, newName.trim());
-          }
-          onRefresh();
-        }
-      });
-    });
-    menu.appendChild(renameBtn);
-
-    // Separator
-    var sep = document.createElement('div');
-    sep.className = 'h-px bg-surface-0/30 my-1';
-    menu.appendChild(sep);
-
-    // Delete
-    var deleteBtn = document.createElement('button');
-    deleteBtn.className = 'w-full flex items-center gap-2 px-3 py-1.5 text-xs text-error hover:bg-error/10 transition-colors';
-    var deleteIcon = document.createElement('span');
-    deleteIcon.appendChild(createSvgIcon('trash', 12));
-    deleteBtn.appendChild(deleteIcon);
-    var deleteLabel = document.createElement('span');
-    deleteLabel.textContent = 'Delete';
-    deleteBtn.appendChild(deleteLabel);
-    deleteBtn.addEventListener('click', function(e) {
-      e.stopPropagation();
-      closeMenu();
-      var childCount = getDescendantFolderIds(folder.id).length;
-      var sessionCount = Object.values(sessionFolders).filter(function(id) { return id === folder.id; }).length;
-      var message = 'Delete folder "' + folder.name + '"?';
-      if (childCount > 0) message += ' This will also delete ' + childCount + ' sub-folder(s).';
-      if (sessionCount > 0) message += ' ' + sessionCount + ' session(s) will be moved to root.';
-
-      api.showModal({
-        title: 'Delete folder',
-        content: message,
-        buttons: [
-          { label: 'Cancel', variant: 'secondary' },
-          { label: 'Delete', variant: 'danger', onClick: function() { return true; } },
-        ],
-      }).then(function(result) {
-        if (result) {
-          if (activeFolderFilter === folder.id) {
-            dispatchFolderFilter(null, null);
-          }
-          deleteFolder(folder.id).then(function() { onRefresh(); });
-        }
-      }).catch(function() {});
-    });
-    menu.appendChild(deleteBtn);
-
-    // Close helpers
-    function closeMenu() {
-      if (menu.parentNode) menu.parentNode.removeChild(menu);
-      document.removeEventListener('click', onDocClick);
-      globalThis.removeEventListener('closeContextMenus', closeMenu);
-    }
-    function onDocClick() { closeMenu(); }
-
-    document.addEventListener('click', onDocClick);
-    globalThis.addEventListener('closeContextMenus', closeMenu);
-
-    menu.addEventListener('click', function(e) { e.stopPropagation(); });
-    menu.addEventListener('keydown', function(e) { if (e.key === 'Escape') closeMenu(); });
-
-    document.body.appendChild(menu);
-    menu.focus();
-  }
-
   // Register home panel column
   api.registerHomePanelColumn({
     config: {
@@ -726,10 +7371,50 @@ async function init(pluginApi) {
       el.className = 'folders-home-panel space-y-0.5';
       container.appendChild(el);
 
+      // Keyboard state of the folder list (a WAI-ARIA tree with a roving tabindex)
+      var homeRows = []; // [{ key, parentKey, level, expanded, label, el, folder?, smartFolder? }] in display order
+      var homeFocusedKey = null;
+      var homeTypeAhead = { text: '', at: 0 };
+      var treeEl = null;
+
+      function addTreeRow(row, meta) {
+        row.setAttribute('role', 'treeitem');
+        row.tabIndex = -1;
+        row.dataset.key = meta.key;
+        row.setAttribute('aria-level', String(meta.level));
+        row.setAttribute('aria-selected', String(!!meta.selected));
+        if (meta.expanded !== undefined) row.setAttribute('aria-expanded', String(meta.expanded));
+        row.classList.add('outline-none', 'focus-visible:ring-1', 'focus-visible:ring-accent/60');
+        meta.el = row;
+        homeRows.push(meta);
+        treeEl.appendChild(row);
+      }
+
+      function updateHomeTabindex(refocus) {
+        var target = homeRows.find(function(r) { return r.key === homeFocusedKey; })
+          || homeRows.find(function(r) { return r.selected; })
+          || homeRows[0];
+        homeRows.forEach(function(r) { r.el.tabIndex = r === target ? 0 : -1; });
+        if (target && refocus) target.el.focus();
+      }
+
+      function focusHomeRow(key) {
+        homeFocusedKey = key;
+        updateHomeTabindex(true);
+      }
+
       function renderHomeFolders() {
-        var rootFolders = folders.filter(function(f) { return !f.parentId; }).sort(function(a, b) { return a.order - b.order; });
+        var rootFolders = getTreeIndex().childFolders.get(null) || [];
+        // Re-rendering replaces the rows, so focus is moved to the new one
+        var hadFocus = !!treeEl && treeEl.contains(document.activeElement);
 
         el.textContent = '';
+        homeRows = [];
+        treeEl = document.createElement('div');
+        treeEl.className = 'space-y-0.5';
+        treeEl.setAttribute('role', 'tree');
+        treeEl.setAttribute('aria-label', 'Filter sessions by folder');
+        el.appendChild(treeEl);
 
         // "All" tab
         var isAllActive = !activeFolderFilter;
@@ -752,32 +7437,56 @@ async function init(pluginApi) {
         allRow.appendChild(allCount);
 
         allRow.addEventListener('click', function() {
-          dispatchFolderFilter(null, null);
+          dispatchFolderFilter(null);
           renderHomeFolders();
         });
-        el.appendChild(allRow);
+        addTreeRow(allRow, { key: 'all', level: 1, label: 'All', selected: isAllActive });
 
-        if (rootFolders.length === 0) {
+        if (rootFolders.length === 0 && smartFolders.length === 0) {
           var emptyMsg = document.createElement('div');
           emptyMsg.className = 'text-[10px] text-text-muted text-center py-3 opacity-60';
           emptyMsg.textContent = 'No folders yet';
           el.appendChild(emptyMsg);
+          updateHomeTabindex(hadFocus);
+          renderHomeTags();
           return;
         }
 
         // Separator
         var sep = document.createElement('div');
         sep.className = 'h-px bg-surface-0/30 my-1.5';
-        el.appendChild(sep);
+        sep.setAttribute('aria-hidden', 'true');
+        treeEl.appendChild(sep);
 
-        // Folder tabs
-        rootFolders.forEach(function(folder) {
-          var count = Object.values(sessionFolders).filter(function(id) { return id === folder.id; }).length;
+        // Folder tree
+        function renderFolderRow(folder, depth) {
+          var count = getSessionIdsInFolder(folder.id, homeFilterRecursive).length;
           var isActive = activeFolderFilter === folder.id;
+          var children = getTreeIndex().childFolders.get(folder.id) || [];
+          var isExpanded = homeExpandedFolders.has(folder.id);
 
           var row = document.createElement('div');
           row.className = 'flex items-center gap-2 px-2.5 py-1.5 rounded-lg cursor-pointer transition-colors text-xs '
             + (isActive ? 'bg-accent/15 text-accent font-medium' : 'text-text hover:bg-white/5');
+          row.style.paddingLeft = (10 + depth * 12) + 'px';
+          row.title = getFolderPathLabel(folder.id);
+
+          var chevron = document.createElement('span');
+          chevron.className = 'text-text-muted transition-transform shrink-0 ' + (isExpanded ? 'rotate-90' : '');
+          chevron.style.width = '10px';
+          if (children.length > 0) {
+            chevron.appendChild(createSvgIcon('chevron', 10));
+            chevron.addEventListener('click', function(e) {
+              e.stopPropagation();
+              if (homeExpandedFolders.has(folder.id)) {
+                homeExpandedFolders.delete(folder.id);
+              } else {
+                homeExpandedFolders.add(folder.id);
+              }
+              renderHomeFolders();
+            });
+          }
+          row.appendChild(chevron);
 
           var iconSpan = document.createElement('span');
           if (isActive) {
@@ -798,64 +7507,352 @@ async function init(pluginApi) {
           countSpan.textContent = String(count);
           row.appendChild(countSpan);
 
+          if (folder.shared) {
+            var lockSpan = document.createElement('span');
+            lockSpan.className = 'text-text-muted shrink-0';
+            lockSpan.title = 'Shared team folder (read-only)';
+            lockSpan.appendChild(createSvgIcon('lock', 10));
+            row.appendChild(lockSpan);
+          }
+
           // Context menu (right-click)
           row.addEventListener('contextmenu', function(e) {
             e.preventDefault();
             e.stopPropagation();
-            showFolderContextMenu(folder, e.clientX, e.clientY, renderHomeFolders);
+            showFolderContextMenu(folder, e.clientX, e.clientY);
+          });
+
+          row.addEventListener('click', function() {
+            dispatchFolderFilter(folder.id);
+            renderHomeFolders();
+          });
+
+          addTreeRow(row, {
+            key: 'folder:' + folder.id,
+            parentKey: folder.parentId ? 'folder:' + folder.parentId : null,
+            level: depth + 1,
+            expanded: children.length > 0 ? isExpanded : undefined,
+            label: folder.name,
+            selected: isActive,
+            folder: folder,
+          });
+
+          if (isExpanded) {
+            children.forEach(function(child) { renderFolderRow(child, depth + 1); });
+          }
+        }
+
+        rootFolders.forEach(function(folder) { renderFolderRow(folder, 0); });
+
+        // Smart folders
+        var sessions = api.getAllSessions();
+        smartFolders.forEach(function(smartFolder) {
+          var isActive = activeFolderFilter === smartFolder.id;
+
+          var row = document.createElement('div');
+          row.className = 'flex items-center gap-2 px-2.5 py-1.5 rounded-lg cursor-pointer transition-colors text-xs '
+            + (isActive ? 'bg-accent/15 text-accent font-medium' : 'text-text hover:bg-white/5');
+          row.style.paddingLeft = '28px';
+          row.title = 'Smart folder';
+
+          var iconSpan = document.createElement('span');
+          if (isActive) {
+            iconSpan.className = 'text-accent';
+          } else {
+            iconSpan.style.color = smartFolder.color;
+          }
+          iconSpan.appendChild(createSvgIcon('smart-folder', 13));
+          row.appendChild(iconSpan);
+
+          var nameSpan = document.createElement('span');
+          nameSpan.className = 'flex-1 truncate italic';
+          nameSpan.textContent = smartFolder.name;
+          row.appendChild(nameSpan);
+
+          var countSpan = document.createElement('span');
+          countSpan.className = 'text-[10px] ' + (isActive ? 'text-accent/70' : 'text-text-muted');
+          countSpan.textContent = String(getSmartFolderSessions(smartFolder, sessions).length);
+          row.appendChild(countSpan);
+
+          row.addEventListener('contextmenu', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            showSmartFolderContextMenu(smartFolder, e.clientX, e.clientY);
           });
 
           row.addEventListener('click', function() {
-            dispatchFolderFilter(folder.id, folder.name);
+            dispatchFolderFilter(smartFolder.id);
+            renderHomeFolders();
+          });
+
+          addTreeRow(row, { key: 'smart:' + smartFolder.id, level: 1, label: smartFolder.name, selected: isActive, smartFolder: smartFolder });
+        });
+        updateHomeTabindex(hadFocus);
+
+        // "This folder only" toggle for folders that have sub-folders
+        if (activeFolderFilter && getDescendantFolderIds(activeFolderFilter).length > 0) {
+          var toggleRow = document.createElement('label');
+          toggleRow.className = 'flex items-center gap-2 px-2.5 pt-2 text-[10px] text-text-muted cursor-pointer select-none';
+          var toggle = document.createElement('input');
+          toggle.type = 'checkbox';
+          toggle.checked = !homeFilterRecursive;
+          toggle.addEventListener('change', function() {
+            homeFilterRecursive = !toggle.checked;
+            dispatchFolderFilter(activeFolderFilter);
+            renderHomeFolders();
+          });
+          toggleRow.appendChild(toggle);
+          var toggleLabel = document.createElement('span');
+          toggleLabel.textContent = 'This folder only';
+          toggleRow.appendChild(toggleLabel);
+          el.appendChild(toggleRow);
+        }
+
+        renderHomeTags();
+      }
+
+      // Tag chips: click to filter by tags, combined with the folder filter
+      function renderHomeTags() {
+        if (tags.length === 0) return;
+
+        var tagSep = document.createElement('div');
+        tagSep.className = 'h-px bg-surface-0/30 my-1.5';
+        el.appendChild(tagSep);
+
+        var header = document.createElement('div');
+        header.className = 'flex items-center gap-2 px-2.5 pb-1 text-[10px] text-text-muted uppercase tracking-wider';
+        var headerLabel = document.createElement('span');
+        headerLabel.className = 'flex-1';
+        headerLabel.textContent = 'Tags';
+        header.appendChild(headerLabel);
+
+        if (activeTagFilter.length > 1) {
+          var modeBtn = document.createElement('button');
+          modeBtn.className = 'normal-case tracking-normal px-1.5 rounded bg-surface-0/30 hover:text-accent transition-colors';
+          modeBtn.textContent = tagFilterMode === 'all' ? 'Match all' : 'Match any';
+          modeBtn.title = 'Switch between sessions with all of the selected tags (AND) and any of them (OR)';
+          modeBtn.addEventListener('click', function() {
+            tagFilterMode = tagFilterMode === 'all' ? 'any' : 'all';
+            dispatchFolderFilter(activeFolderFilter);
+            renderHomeFolders();
+          });
+          header.appendChild(modeBtn);
+        }
+        if (activeTagFilter.length > 0) {
+          var clearBtn = document.createElement('button');
+          clearBtn.className = 'normal-case tracking-normal hover:text-accent transition-colors';
+          clearBtn.textContent = 'Clear';
+          clearBtn.addEventListener('click', function() {
+            activeTagFilter = [];
+            dispatchFolderFilter(activeFolderFilter);
             renderHomeFolders();
           });
+          header.appendChild(clearBtn);
+        }
+        el.appendChild(header);
 
-          el.appendChild(row);
+        var chips = document.createElement('div');
+        chips.className = 'flex flex-wrap gap-1 px-2.5';
+        tags.forEach(function(tag) {
+          var isActive = activeTagFilter.indexOf(tag.id) !== -1;
+          var chip = document.createElement('button');
+          chip.className = 'flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] border transition-colors '
+            + (isActive ? 'font-medium' : 'border-transparent hover:bg-white/5');
+          chip.style.color = tag.color;
+          if (isActive) {
+            chip.style.borderColor = tag.color;
+            chip.style.backgroundColor = tag.color + '22';
+          }
+          chip.textContent = tag.name;
+          var count = document.createElement('span');
+          count.className = 'text-text-muted';
+          count.textContent = String(getSessionIdsWithTags([tag.id]).length);
+          chip.appendChild(count);
+          chip.addEventListener('click', function() {
+            activeTagFilter = isActive
+              ? activeTagFilter.filter(function(id) { return id !== tag.id; })
+              : activeTagFilter.concat([tag.id]);
+            dispatchFolderFilter(activeFolderFilter);
+            renderHomeFolders();
+          });
+          chips.appendChild(chip);
         });
+        el.appendChild(chips);
       }
 
+      // Arrow keys, Home/End and type-ahead move through the list, Left/Right collapse and
+      // expand, Enter/Space apply the filter; folder rows also take F2, Delete and the menu keys
+      el.addEventListener('keydown', function(e) {
+        if (!e.target.dataset || e.target.getAttribute('role') !== 'treeitem') return;
+        var key = e.target.dataset.key;
+        var meta = homeRows.find(function(r) { return r.key === key; });
+        if (!meta) return;
+
+        var move = getTreeNavigation(e, homeRows, key, homeTypeAhead);
+        if (move) {
+          e.preventDefault();
+          if (move.expand || move.collapse) {
+            if (move.expand) homeExpandedFolders.add(meta.folder.id);
+            else homeExpandedFolders.delete(meta.folder.id);
+            renderHomeFolders();
+          } else {
+            focusHomeRow(move.focus);
+          }
+          return;
+        }
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          e.target.click();
+          return;
+        }
+        if ((meta.folder || meta.smartFolder) && handleFolderRowKey(e, meta.folder || null, meta.smartFolder || null)) {
+          e.preventDefault();
+        }
+      });
+      el.addEventListener('focusin', function(e) {
+        if (!e.target.getAttribute || e.target.getAttribute('role') !== 'treeitem') return;
+        homeFocusedKey = e.target.dataset.key;
+        updateHomeTabindex(false);
+      });
+
       renderHomeFolders();
 
       // Re-render when folders change
-      var onChanged = function() { renderHomeFolders(); };
+      var onChanged = function() {
+        if (deferRender(onChanged)) return;
+        syncFolderFilter();
+        renderHomeFolders();
+      };
       window.addEventListener('simplyterm-folders-changed', onChanged);
 
       return function() {
         window.removeEventListener('simplyterm-folders-changed', onChanged);
         // Reset filter on unmount
-        if (activeFolderFilter) {
-          dispatchFolderFilter(null, null);
+        if (activeFolderFilter || activeTagFilter.length > 0) {
+          activeTagFilter = [];
+          dispatchFolderFilter(null);
         }
       };
     },
   });
 
-  // Register context menu item for sessions
-  api.registerContextMenuItem({
+  // File sessions without a folder, forget deleted ones and refresh views when the sessions change
+  reconcileSessionMappings(api.getAllSessions());
+  autoFileSessions(api.getAllSessions());
+  sessionWatcher = watchSessions(() => {
+    invalidateTreeIndex();
+    reconcileSessionMappings(api.getAllSessions());
+    autoFileSessions(api.getAllSessions());
+    renderList();
+    notifyFoldersChanged({ type: 'sessions-changed' });
+  });
+
+  // Highlight and reveal the session focused in SimplyTerm
+  activeSessionWatcher = watchActiveSession(setActiveSession);
+  connectionWatcher = watchSessionConnections();
+
+  // Register context menu items for sessions
+  registerSessionMenuItem({
     id: 'move-to-folder',
     label: 'Move to folder',
     icon: 'folder',
     onClick: handleMoveToFolder,
   });
+  registerSessionMenuItem({
+    id: 'session-tags',
+    label: 'Tags\u2026',
+    icon: 'tag',
+    onClick: (context) => {
+      if (context.type === 'session' && context.targetId) showSessionTagsModal([context.targetId]);
+    },
+  });
+  registerSessionMenuItem({
+    id: 'effective-settings',
+    label: 'Effective folder settings',
+    icon: 'list',
+    onClick: (context) => {
+      if (context.type === 'session' && context.targetId) showEffectiveSettingsModal(context.targetId);
+    },
+  });
 
   // Expose API globally
-  window.SimplyTermFoldersAPI = {
-    getFolders,
-    getSessionFolder,
-    moveSessionToFolder,
-    createFolder,
-  };
+  window.SimplyTermFoldersAPI = createPublicApi();
 }
 
 /**
  * Plugin cleanup
  */
 function cleanup() {
+  // Start any pending write before the state is cleared
+  if (persistTimer || usageTimer) runPersist();
+  stopStateSync();
+  syncBase = null;
+  syncPending = false;
+  if (teamLayoutWatcher) {
+    teamLayoutWatcher();
+    teamLayoutWatcher = null;
+  }
+  teamLayout = null;
+  teamLayoutStatus = null;
+  teamLayoutHash = null;
+  if (sessionWatcher) {
+    sessionWatcher();
+    sessionWatcher = null;
+  }
+  if (activeSessionWatcher) {
+    activeSessionWatcher();
+    activeSessionWatcher = null;
+  }
+  if (connectionWatcher) {
+    connectionWatcher();
+    connectionWatcher = null;
+  }
+  activeSessionId = null;
+  revealedFolderIds.clear();
+  sessionMenuItems = [];
   api = null;
   folders = [];
   sessionFolders = {};
   containerElement = null;
+  activeFolderFilter = null;
+  homeFilterRecursive = true;
+  homeExpandedFolders.clear();
   expandedFolders.clear();
+  recentFolderIds = [];
+  smartFolders = [];
+  tags = [];
+  sessionTags = {};
+  activeTagFilter = [];
+  tagFilterMode = 'any';
+  autoFileRules = [];
+  openAllSettings = null;
+  openAllRun++;
+  sortSettings = null;
+  folderSorts = {};
+  sessionOrder = {};
+  sessionUsage = {};
+  missingSessions = {};
+  storageIssues = [];
+  protectedFiles.clear();
+  undoStack = [];
+  redoStack = [];
+  backupIndex = [];
+  eventListeners.clear();
+  selectedSessionIds.clear();
+  selectionAnchorId = null;
+  searchQuery = '';
+  searchHosts = false;
+  searchView = null;
+  renderBatchDepth = 0;
+  pendingRenders.clear();
+  unwatchTreeScroll();
+  treeIndex = null;
+  ruleRegExps.clear();
+  treeRows = [];
+  focusedTreeKey = null;
+  treeTypeAhead.text = '';
+  contextMenuOpener = null;
+  document.querySelectorAll('.folders-undo-toast').forEach(el => el.remove());
   delete window.SimplyTermFoldersAPI;
 }
 
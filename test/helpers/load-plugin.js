@@ -0,0 +1,29 @@
+// Loads index.js the way SimplyTerm does, as a plain script, into a fresh context
+// so tests can call its top-level functions directly.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', '..', 'index.js'), 'utf8');
+
+/**
+ * Run the plugin script in a new context. Its top-level functions are properties of the
+ * returned context; run(code) evaluates code in the script's scope (e.g. to set `api`).
+ */
+function loadPlugin() {
+  const context = vm.createContext({ console });
+  context.window = context;
+  vm.runInContext(source, context, { filename: 'index.js' });
+  context.run = (code) => vm.runInContext(code, context);
+  return context;
+}
+
+/**
+ * Copy a value created in the plugin's context into this one, so deepStrictEqual
+ * does not trip over the other context's Object and Array prototypes
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadPlugin, plain };
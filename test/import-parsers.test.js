@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./helpers/load-plugin');
+
+const plugin = loadPlugin();
+
+// Folder paths by session name, from an import plan
+function foldersBySession(plan) {
+  const byKey = Object.fromEntries(plan.folders.map(f => [f.key, f]));
+  const pathOf = (key) => (key ? [...pathOf(byKey[key].parentKey), byKey[key].name] : []);
+  return Object.fromEntries(plan.entries.map(e => [e.descriptor.name, pathOf(e.folderKey).join('/')]));
+}
+
+test('parseSshConfig files hosts by folder comment, wildcard and shared prefix', () => {
+  const plan = plugin.parseSshConfig([
+    'Host prod-*',
+    '  User deploy',
+    'Host prod-web-1 prod-web-2',
+    '  HostName 10.0.0.1',
+    '  Port 2222',
+    'Host stage-a stage-b',
+    '# folder: Clients/Acme',
+    'Host acme-db',
+    '  User = "pg"',
+    '#folder:',
+    'Host lonely',
+  ].join('\n'));
+
+  assert.deepEqual(foldersBySession(plan), {
+    'prod-web-1': 'prod',
+    'prod-web-2': 'prod',
+    'stage-a': 'stage',
+    'stage-b': 'stage',
+    'acme-db': 'Clients/Acme',
+  });
+  const web1 = plan.entries.find(e => e.descriptor.name === 'prod-web-1').descriptor;
+  assert.deepEqual(plain(web1), { name: 'prod-web-1', host: '10.0.0.1', username: null, port: 2222 });
+  assert.equal(plan.entries.find(e => e.descriptor.name === 'acme-db').descriptor.username, 'pg');
+});
+
+test('parseSshConfig rejects a file without Host entries', () => {
+  assert.throws(() => plugin.parseSshConfig('Match all\n  User x'), /No Host entries/);
+});
+
+test('parsePuttyReg reads KiTTY folders and paths in session names', () => {
+  const plan = plugin.parsePuttyReg([
+    'Windows Registry Editor Version 5.00',
+    '',
+    '[HKEY_CURRENT_USER\\Software\\SimonTatham\\PuTTY\\Sessions\\Default%20Settings]',
+    '"HostName"=""',
+    '',
+    '[HKEY_CURRENT_USER\\Software\\SimonTatham\\PuTTY\\Sessions\\Prod%2FWeb%2Fweb-1]',
+    '"HostName"="web1.example.com"',
+    '"UserName"="root"',
+    '"PortNumber"=dword:00000016',
+    '',
+    '[HKEY_CURRENT_USER\\Software\\9bis.com\\KiTTY\\Sessions\\db]',
+    '"HostName"="db.example.com"',
+    '"Folder"="Data\\\\Primary"',
+  ].join('\r\n'));
+
+  assert.deepEqual(foldersBySession(plan), { 'web-1': 'Prod/Web', db: 'Data/Primary' });
+  const web1 = plan.entries.find(e => e.descriptor.name === 'web-1').descriptor;
+  assert.deepEqual(plain(web1), { name: 'web-1', host: 'web1.example.com', username: 'root', port: 22 });
+});
+
+test('parseRemmina reads the group path and the server port', () => {
+  const plan = plugin.parseRemmina([
+    '[remmina]',
+    'name=web',
+    'group=Prod/Web',
+    'server=web.example.com:2222',
+    'username=admin',
+    '',
+    '[remmina]',
+    'name=v6',
+    'group=Lab',
+    'server=[fe80::1]',
+  ].join('\n'));
+
+  assert.deepEqual(foldersBySession(plan), { web: 'Prod/Web', v6: 'Lab' });
+  assert.deepEqual(plain(plan.entries[0].descriptor), { name: 'web', host: 'web.example.com', username: 'admin', port: 2222 });
+  assert.equal(plan.entries[1].descriptor.host, 'fe80::1');
+  assert.equal(plan.entries[1].descriptor.port, null);
+});
+
+test('parseMobaXterm reads sessions from every bookmarks section', () => {
+  const plan = plugin.parseMobaXterm([
+    '[Bookmarks]',
+    'SubRep=',
+    'ImgNum=42',
+    'top=#109#0%top.example.com%22%root%%-1%-1',
+    '[Bookmarks_1]',
+    'SubRep=Prod\\Web',
+    'ImgNum=41',
+    'web-1=#109#0%web1.example.com%2222%deploy%%-1%-1',
+    '[Misc]',
+    'other=#109#0%ignored%22%x',
+  ].join('\r\n'));
+
+  // Sessions at the top level have no folder and are left out of the plan
+  assert.deepEqual(foldersBySession(plan), { 'web-1': 'Prod/Web' });
+  assert.deepEqual(plain(plan.entries[0].descriptor), { name: 'web-1', host: 'web1.example.com', port: 2222, username: 'deploy' });
+});
+
+test('parsers reject files without folders', () => {
+  assert.throws(() => plugin.parseRemmina('[remmina]\nname=solo\nserver=x'), /No folders or groups/);
+  assert.throws(() => plugin.parseMobaXterm('[Settings]\nFoo=1'), /No MobaXterm sessions/);
+});
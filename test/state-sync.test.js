@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./helpers/load-plugin');
+
+const plugin = loadPlugin();
+plugin.run(`api = { getAllSessions: () => [{ id: 's1', name: 'web-1' }, { id: 's2', name: 'db' }] };`);
+
+const folder = (id, name, extra = {}) => ({ id, name, color: '#3b82f6', parentId: null, order: 0, ...extra });
+
+test('validateState repairs damaged parts and reports what it changed', () => {
+  const { data, issues } = plain(plugin.validateState({
+    revision: 7,
+    folders: [
+      folder('a', 'Prod'),
+      folder('a', 'Duplicate'),
+      { name: 'No id' },
+      folder('b', 'Orphan', { parentId: 'gone', color: 'red' }),
+      folder('c', 'Loop 1', { parentId: 'd' }),
+      folder('d', 'Loop 2', { parentId: 'c' }),
+    ],
+    sessionFolders: { s1: 'a', s2: 'gone' },
+  }));
+
+  assert.equal(data.revision, 7);
+  assert.deepEqual(data.folders.map(f => f.id), ['a', 'b', 'c', 'd']);
+  const orphan = data.folders.find(f => f.id === 'b');
+  assert.equal(orphan.parentId, null);
+  assert.equal(orphan.color, plugin.run('DEFAULT_FOLDER_COLOR'));
+  assert.ok(data.folders.some(f => f.parentId === null && (f.id === 'c' || f.id === 'd')), 'the parent cycle is cut');
+  assert.deepEqual(data.sessionFolders, { s1: 'a' });
+  assert.ok(issues.includes('dropped duplicate folder a'));
+  assert.ok(issues.includes('dropped a malformed folder'));
+  assert.ok(issues.some(issue => /Orphan.*missing parent/.test(issue)));
+});
+
+test('validateState fills in missing parts and rejects non-objects', () => {
+  const { data, issues } = plain(plugin.validateState({}));
+  assert.deepEqual(issues, []);
+  assert.equal(data.revision, 0);
+  assert.deepEqual(data.folders, []);
+  assert.deepEqual(data.sessionFolders, {});
+  assert.deepEqual(data.tags, []);
+
+  assert.equal(plugin.validateState(null).data, null);
+  assert.equal(plugin.validateState([]).data, null);
+});
+
+test('mergeSyncData combines changes made in different windows', () => {
+  const base = { folders: [folder('a', 'Prod')], sessionFolders: { s1: 'a' }, tags: [] };
+  const local = { folders: [folder('a', 'Prod'), folder('b', 'Dev')], sessionFolders: { s1: 'a', s2: 'b' }, tags: [] };
+  const remote = { folders: [folder('a', 'Production')], sessionFolders: {}, tags: [{ id: 't', name: 'db', color: '#ef4444' }] };
+
+  const { data, conflicts } = plain(plugin.mergeSyncData(base, local, remote));
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(data.folders.map(f => f.name), ['Production', 'Dev']);
+  // s1 was unfiled remotely and left alone here; s2 was only filed here
+  assert.deepEqual(data.sessionFolders, { s2: 'b' });
+  assert.deepEqual(data.tags.map(t => t.name), ['db']);
+});
+
+test('mergeSyncData keeps the saved version when both windows changed the same item', () => {
+  const base = { folders: [folder('a', 'Prod')], sessionFolders: { s1: 'a' } };
+  const local = { folders: [folder('a', 'Prod (here)')], sessionFolders: { s1: 'b' } };
+  const remote = { folders: [folder('a', 'Prod (there)')], sessionFolders: { s1: 'c' } };
+
+  const { data, conflicts } = plain(plugin.mergeSyncData(base, local, remote));
+  assert.equal(data.folders[0].name, 'Prod (there)');
+  assert.equal(data.sessionFolders.s1, 'c');
+  assert.deepEqual(conflicts, ['folder "Prod (there)"', 'the folder of session "web-1"']);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlugin, plain } = require('./helpers/load-plugin');
+
+const plugin = loadPlugin();
+
+test('parseYamlSubset reads nested mappings, lists and scalars', () => {
+  const doc = plain(plugin.parseYamlSubset([
+    '---',
+    '# Team folders',
+    'folders:',
+    '  - name: "Prod # EU"   # quoted "#" is kept',
+    '    color: \'#ef4444\'',
+    '    defaults:',
+    '      port: 2222',
+    '      env: [A=1, B=2]',
+    '    children:',
+    '    - name: Web',
+    '      expanded: false',
+    '    - name: DB',
+    '  - name: Lab',
+    '    id: ~',
+    '    children: []',
+  ].join('\n')));
+
+  assert.deepEqual(doc, {
+    folders: [
+      {
+        name: 'Prod # EU',
+        color: '#ef4444',
+        defaults: { port: 2222, env: ['A=1', 'B=2'] },
+        children: [{ name: 'Web', expanded: false }, { name: 'DB' }],
+      },
+      { name: 'Lab', id: null, children: [] },
+    ],
+  });
+});
+
+test('parseYamlSubset reads a top-level list of plain values', () => {
+  assert.deepEqual(plain(plugin.parseYamlSubset('- one\n- 2\n- true\n')), ['one', 2, true]);
+  assert.equal(plugin.parseYamlSubset('# only a comment\n'), null);
+});
+
+test('parseYamlSubset reports the line of a problem', () => {
+  assert.throws(() => plugin.parseYamlSubset('folders:\n\t- name: x'), /line 2: indent with spaces/);
+  assert.throws(() => plugin.parseYamlSubset('name: a\nnot a mapping'), /line 2: expected "key: value"/);
+  assert.throws(() => plugin.parseYamlSubset('a:\n    b: 1\n  c: 2'), /line 3: unexpected indentation/);
+});